@@ -0,0 +1,97 @@
+/**
+ * A/B Testing Bootstrap
+ * Loaded synchronously in the document head: hides the elements A/B
+ * variants are about to change until ABTesting has applied them, so
+ * visitors never see the markup copy swap. The elements come from the
+ * test definitions in ab-config.js, loaded just before. A safety timeout
+ * shows the page anyway if the full script is slow or fails.
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const AB_BOOTSTRAP_CONFIG = {
+        timeout: 1500 // ms before guarded elements are shown regardless
+    };
+
+    /**
+     * Read the variant stored for a test by ABTesting
+     * @param {string} testName - The name of the test
+     * @returns {string|null} Variant, or null for first visits
+     */
+    function readStoredVariant(testName) {
+        const stored = localStorage.getItem(`${window.abConfig.AB_TEST_CONFIG.localStoragePrefix}${testName}`);
+        if (!stored) return null;
+
+        try {
+            const assignment = JSON.parse(stored);
+            return assignment && typeof assignment === 'object' ? assignment.variant : stored;
+        } catch (e) {
+            // Plain variant names were stored before exposure tracking
+            return stored;
+        }
+    }
+
+    /**
+     * Get the selectors to hide: tests without a stored assignment, or
+     * whose stored variant differs from the control the markup shows
+     * @returns {Array<string>} Selectors
+     */
+    function getGuardSelectors() {
+        if (!window.abConfig) return [];
+        
+        const guards = window.abConfig.getGuards(window.abConfig.AB_TEST_CONFIG.tests);
+
+        return Object.keys(guards).filter(testName => {
+            try {
+                return readStoredVariant(testName) !== guards[testName].control;
+            } catch (e) {
+                // Storage unavailable: the assignment is unknown
+                return true;
+            }
+        }).reduce((selectors, testName) => selectors.concat(guards[testName].selectors), []);
+    }
+
+    const selectors = getGuardSelectors();
+    const style = document.createElement('style');
+    let timer = null;
+
+    const bootstrap = {
+        guarded: selectors,
+        revealed: false,
+        timedOut: false,
+
+        /**
+         * Show the guarded elements (called by ABTesting once variants are applied)
+         */
+        reveal() {
+            if (bootstrap.revealed) return;
+            
+            bootstrap.revealed = true;
+            clearTimeout(timer);
+            if (style.parentNode) {
+                style.parentNode.removeChild(style);
+            }
+        }
+    };
+
+    if (selectors.length) {
+        style.textContent = `${selectors.join(', ')} { visibility: hidden !important; }`;
+        document.head.appendChild(style);
+
+        timer = setTimeout(() => {
+            bootstrap.timedOut = true;
+            bootstrap.reveal();
+            console.log('[A/B Bootstrap] Safety timeout, showing the page before variants were applied');
+        }, AB_BOOTSTRAP_CONFIG.timeout);
+    } else {
+        bootstrap.revealed = true;
+    }
+
+    window.abBootstrap = bootstrap;
+})();
\ No newline at end of file
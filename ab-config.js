@@ -0,0 +1,226 @@
+/**
+ * A/B Test Definitions
+ * Experiment configuration shared by the head bootstrap (ab-bootstrap.js),
+ * the A/B testing system (ab-testing.js) and the results tool (ab-results.js)
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+    
+    // Configuration
+    // Each test maps variant names to a list of DOM changes:
+    // { selector, text, html, attributes, addClass, removeClass, style }
+    // text and html can be a string or copy per locale ({ ar, en }).
+    // Optional per test: weights ({ variant: weight }), traffic (% of visitors
+    // entering the test), control (variant shown to non-participants), salt
+    // (change it to reshuffle visitors), ctas (data-cta-id values whose clicks
+    // count as conversions), start/end (ISO dates; before start everyone sees
+    // the control, after end everyone sees winner, or the control if unset).
+    //
+    // Multivariate tests list factors instead of variants, each either its
+    // own variants or the name of a test to borrow them from, and run every
+    // combination under keys like 'B|yellow':
+    // 'hero_cta_mvt': { factors: { headline: 'hero_headline', cta: 'cta_button_color' } }
+    //
+    // Tests in the same layer are mutually exclusive: each visitor enters at
+    // most one of them, by share of the layer ({ testName: % }). The slice
+    // of a test that is not running stays idle rather than moving visitors.
+    //
+    // Bucketing is deterministic so the backend can recompute it:
+    // bucket = fnv1a32(`${visitorId}:${testName}:${salt}:${stage}`) / 2^32,
+    // where stage is 'traffic' or 'variant' (holdout uses testName 'holdout',
+    // layers use `layer:${layerName}` with the layer's salt and stage 'layer').
+    //
+    // The markup shows each test's control. Elements the other variants
+    // change visibly are hidden by ab-bootstrap.js until they are applied.
+    const AB_TEST_CONFIG = {
+        layers: {
+            // Both tests change the persuasion copy, so their effects would mix
+            'copy': {
+                tests: { 'hero_headline': 50, 'why_now_text': 50 },
+                salt: ''
+            }
+        },
+        tests: {
+            'hero_headline': {
+                weights: { 'A': 50, 'B': 50 },
+                traffic: 100,
+                salt: '',
+                ctas: ['hero_primary'],
+                variants: {
+                    'A': [
+                        { selector: '#hero', attributes: { 'data-variant': 'A' } },
+                        {
+                            selector: '#hero .hero__title',
+                            html: {
+                                ar: '<span class="hero__title-highlight">نرفع مبيعات مشروعك خلال ٩٠ يوم…</span> وإلا نرجّع رسومنا',
+                                en: '<span class="hero__title-highlight">We grow your sales within 90 days…</span> or we refund our fees'
+                            }
+                        }
+                    ],
+                    'B': [
+                        { selector: '#hero', attributes: { 'data-variant': 'B' } },
+                        {
+                            selector: '#hero .hero__title',
+                            html: {
+                                ar: 'وقف هدر الفلوس على إعلانات ما تجيب نتيجة… <span class="hero__title-highlight">نضمن الزيادة وإلا ما تدفع</span>',
+                                en: 'Stop wasting money on ads that don\'t deliver… <span class="hero__title-highlight">we guarantee growth or you don\'t pay</span>'
+                            }
+                        }
+                    ]
+                }
+            },
+            'why_now_text': {
+                variants: {
+                    'A': [
+                        { selector: '#why-now', attributes: { 'data-variant': 'A' } },
+                        {
+                            selector: '#urgency-final',
+                            text: {
+                                ar: 'مقاعد الشراكة لهالشهر قربت تكتمل — احجز قبل ما تقفل.',
+                                en: 'This month\'s partnership spots are almost full — book before they close.'
+                            }
+                        }
+                    ],
+                    'B': [
+                        { selector: '#why-now', attributes: { 'data-variant': 'B' } },
+                        {
+                            selector: '#urgency-final',
+                            text: {
+                                ar: 'كل أسبوع تأخير = تكاليف أعلى ونمو أبطأ — خلّنا نبدأ بخطة واضحة.',
+                                en: 'Every week of delay = higher costs and slower growth — let\'s start with a clear plan.'
+                            }
+                        }
+                    ]
+                }
+            },
+            'cta_button_color': {
+                ctas: ['header_cta', 'sticky_cta'],
+                variants: {
+                    'blue': [
+                        {
+                            selector: '[data-cta-id="header_cta"], [data-cta-id="sticky_cta"]',
+                            attributes: { 'data-variant': 'blue' },
+                            addClass: ['btn--primary'],
+                            removeClass: ['btn--yellow'],
+                            style: { background: '', color: '' }
+                        }
+                    ],
+                    'yellow': [
+                        {
+                            selector: '[data-cta-id="header_cta"], [data-cta-id="sticky_cta"]',
+                            attributes: { 'data-variant': 'yellow' },
+                            addClass: ['btn--yellow'],
+                            removeClass: ['btn--primary'],
+                            style: { background: '#F2C526', color: '#000' }
+                        }
+                    ]
+                }
+            }
+        },
+        experimentsUrl: null, // optional JSON file with extra/overriding tests
+        holdoutPercentage: 0, // % of visitors who see the control in every test
+        holdoutSalt: '',
+        visitorCookieName: 'ab_visitor_id',
+        cookieExpiryDays: 30,
+        localStoragePrefix: 'ab_test_',
+        analyticsEnabled: true
+    };
+
+    // Joins factor levels into multivariate variant keys
+    const FACTOR_SEPARATOR = '|';
+
+    /**
+     * Build the variants of multivariate tests: one per combination of
+     * factor levels, applying the changes of every level
+     * @param {Object} tests - Test definitions (updated in place)
+     * @returns {Object} The same test definitions
+     */
+    function expandFactors(tests) {
+        Object.keys(tests).forEach(testName => {
+            const test = tests[testName];
+            if (!test || Array.isArray(test) || !test.factors || test.variants) return;
+            
+            let combinations = [{ keys: [], changes: [] }];
+            Object.keys(test.factors).forEach(factor => {
+                const source = test.factors[factor];
+                const levels = typeof source === 'string'
+                    ? (tests[source] && tests[source].variants) || {}
+                    : source;
+                
+                combinations = combinations.reduce((expanded, combination) => {
+                    return expanded.concat(Object.keys(levels).map(level => ({
+                        keys: combination.keys.concat(level),
+                        changes: combination.changes.concat(levels[level])
+                    })));
+                }, []);
+            });
+            
+            test.variants = {};
+            combinations.forEach(combination => {
+                test.variants[combination.keys.join(FACTOR_SEPARATOR)] = combination.changes;
+            });
+        });
+        
+        return tests;
+    }
+
+    // Change keys that alter what visitors see (attributes alone don't)
+    const VISIBLE_CHANGES = ['text', 'html', 'style', 'addClass', 'removeClass'];
+
+    /**
+     * Get the elements each test changes visibly, for the head bootstrap to
+     * hide until the visitor's variant is applied
+     * @param {Object} tests - Test definitions
+     * @returns {Object} { control, selectors } per test with visible changes
+     */
+    function getGuards(tests) {
+        const guards = {};
+        expandFactors(tests);
+        
+        Object.keys(tests).forEach(testName => {
+            const test = tests[testName];
+            if (!test || Array.isArray(test) || !test.variants) return;
+            
+            const variants = Object.keys(test.variants);
+            const selectors = [];
+            variants.forEach(variant => {
+                (test.variants[variant] || []).forEach(change => {
+                    const visible = VISIBLE_CHANGES.some(key => change[key] !== undefined);
+                    if (change.selector && visible && selectors.indexOf(change.selector) === -1) {
+                        selectors.push(change.selector);
+                    }
+                });
+            });
+            if (!selectors.length) return;
+            
+            guards[testName] = {
+                control: test.control && variants.includes(test.control) ? test.control : variants[0],
+                selectors: selectors
+            };
+        });
+        
+        return guards;
+    }
+
+    const abConfig = {
+        AB_TEST_CONFIG: AB_TEST_CONFIG,
+        FACTOR_SEPARATOR: FACTOR_SEPARATOR,
+        expandFactors: expandFactors,
+        getGuards: getGuards
+    };
+
+    // Node (ab-testing.js, ab-results.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = abConfig;
+    }
+
+    // Browser: loaded in the head before ab-bootstrap.js
+    if (typeof window !== 'undefined') {
+        window.abConfig = abConfig;
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,503 @@
+/**
+ * A/B Test Results Engine
+ * Computes per-variant conversion statistics from exported event logs
+ * (beacon endpoint exports or GA4 exports flattened to { event, params })
+ * 
+ * Node usage:
+ *   node ab-results.js events.json [--test hero_headline] [--conversion-type cta_click] [--mde 0.1]
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const RESULTS_CONFIG = {
+        impressionEvent: 'ab_test_impression',
+        conversionEvent: 'ab_test_conversion',
+        confidenceLevel: 0.95,
+        power: 0.8,
+        minimumDetectableEffect: 0.1, // relative lift, 10%
+        srmThreshold: 0.001 // p-value below which the split is flagged
+    };
+
+    /**
+     * Standard normal cumulative distribution
+     * @param {number} z - z-score
+     * @returns {number} Probability
+     */
+    function normalCdf(z) {
+        // Abramowitz & Stegun 7.1.26
+        const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+            Math.exp(-(z * z) / 2);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /**
+     * Inverse of the standard normal cumulative distribution
+     * @param {number} p - Probability in (0, 1)
+     * @returns {number} z-score
+     */
+    function normalQuantile(p) {
+        // Acklam's rational approximation
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            return -normalQuantile(1 - p);
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation)
+     * @param {number} x - Positive number
+     * @returns {number} ln(Gamma(x))
+     */
+    function logGamma(x) {
+        const g = [676.5203681218851, -1259.1392167224028, 771.3234287776531, -176.6150291621406,
+            12.507343278686905, -0.13857109526572012, 9.984369578019572e-6, 1.5056327351493116e-7];
+
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+        }
+
+        x -= 1;
+        let sum = 0.99999999999980993;
+        g.forEach((coefficient, i) => {
+            sum += coefficient / (x + i + 1);
+        });
+        const t = x + g.length - 0.5;
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
+    /**
+     * Upper tail of the chi-square distribution
+     * @param {number} statistic - Chi-square statistic
+     * @param {number} df - Degrees of freedom
+     * @returns {number} p-value
+     */
+    function chiSquarePValue(statistic, df) {
+        if (statistic <= 0) return 1;
+
+        // Regularized lower incomplete gamma P(df/2, statistic/2)
+        const s = df / 2;
+        const x = statistic / 2;
+        const logPrefix = s * Math.log(x) - x - logGamma(s);
+
+        if (x < s + 1) {
+            let term = 1 / s;
+            let sum = term;
+            for (let n = 1; n < 500; n++) {
+                term *= x / (s + n);
+                sum += term;
+                if (term < sum * 1e-12) break;
+            }
+            return 1 - sum * Math.exp(logPrefix);
+        }
+
+        // Continued fraction for the upper tail
+        let b = x + 1 - s;
+        let c = 1e300;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < 500; n++) {
+            const an = -n * (n - s);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = b + an / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-12) break;
+        }
+        return Math.exp(logPrefix) * h;
+    }
+
+    // Results engine class
+    class ABResults {
+        constructor(testConfig, config = RESULTS_CONFIG, factorSeparator = '|') {
+            this.testConfig = testConfig;
+            this.config = config;
+            this.factorSeparator = factorSeparator;
+        }
+
+        /**
+         * Get variant names of a test as defined in AB_TEST_CONFIG
+         * @param {string} testName - The name of the test
+         * @returns {Array<string>} Variant names
+         */
+        getVariantNames(testName) {
+            const test = this.testConfig.tests[testName];
+            if (!test) return [];
+            
+            return Array.isArray(test) ? test : Object.keys(test.variants || {});
+        }
+
+        /**
+         * Get the control variant of a test
+         * @param {string} testName - The name of the test
+         * @returns {string} Control variant name
+         */
+        getControlVariant(testName) {
+            const test = this.testConfig.tests[testName];
+            const variants = this.getVariantNames(testName);
+            
+            return test && test.control && variants.includes(test.control) ? test.control : variants[0];
+        }
+
+        /**
+         * Get expected traffic share per variant
+         * @param {string} testName - The name of the test
+         * @returns {Object} Share in [0, 1] per variant
+         */
+        getExpectedShares(testName) {
+            const test = this.testConfig.tests[testName];
+            const variants = this.getVariantNames(testName);
+            const shares = {};
+            let total = 0;
+            
+            variants.forEach(variant => {
+                const weight = test && test.weights
+                    ? Math.max(test.weights[variant] || 0, 0)
+                    : 1;
+                shares[variant] = weight;
+                total += weight;
+            });
+            
+            variants.forEach(variant => {
+                shares[variant] = total > 0 ? shares[variant] / total : 1 / variants.length;
+            });
+            
+            return shares;
+        }
+
+        /**
+         * Normalize an exported event to { name, params, unit }
+         * @param {Object} raw - Raw event
+         * @returns {Object} Normalized event
+         */
+        normalizeEvent(raw) {
+            const params = raw.params || raw;
+            return {
+                name: raw.event || raw.name || raw.event_name,
+                params: params,
+                unit: params.visitor_id || raw.visitor_id || params.session_id || raw.session_id || null
+            };
+        }
+
+        /**
+         * Count exposed visitors and converted visitors per variant
+         * @param {Array<Object>} events - Exported events
+         * @param {string} testName - The name of the test
+         * @param {string} conversionType - Optional conversion type filter
+         * @returns {Object} Counts per variant
+         */
+        countVariants(events, testName, conversionType) {
+            const variants = this.getVariantNames(testName);
+            const exposed = {};
+            const converted = {};
+            
+            variants.forEach(variant => {
+                exposed[variant] = new Set();
+                converted[variant] = new Set();
+            });
+            
+            events.map(raw => this.normalizeEvent(raw)).forEach((event, index) => {
+                const params = event.params;
+                if (params.test_name !== testName || !exposed[params.variant]) return;
+                
+                // Events without a visitor count as their own unit
+                const unit = event.unit || `event_${index}`;
+                
+                if (event.name === this.config.impressionEvent) {
+                    // Holdout and out-of-traffic visitors are not part of the test
+                    if (params.exposed === false || params.exposed === 'false') return;
+                    exposed[params.variant].add(unit);
+                } else if (event.name === this.config.conversionEvent) {
+                    if (conversionType && params.conversion_type !== conversionType) return;
+                    converted[params.variant].add(unit);
+                }
+            });
+            
+            const counts = {};
+            variants.forEach(variant => {
+                // Converters without a recorded impression still saw the variant
+                converted[variant].forEach(unit => exposed[variant].add(unit));
+                counts[variant] = {
+                    visitors: exposed[variant].size,
+                    conversions: converted[variant].size
+                };
+            });
+            
+            return counts;
+        }
+
+        /**
+         * Main effects of a multivariate test: counts per level of each
+         * factor, summed over the other factors
+         * @param {string} testName - The name of the test
+         * @param {Object} counts - Counts per combined variant
+         * @returns {Object|null} Counts and rate per level, by factor
+         */
+        factorEffects(testName, counts) {
+            const test = this.testConfig.tests[testName];
+            if (!test || !test.factors) return null;
+            
+            const effects = {};
+            Object.keys(test.factors).forEach((factor, position) => {
+                effects[factor] = {};
+                Object.keys(counts).forEach(variant => {
+                    const level = variant.split(this.factorSeparator)[position];
+                    const total = effects[factor][level] || { visitors: 0, conversions: 0 };
+                    total.visitors += counts[variant].visitors;
+                    total.conversions += counts[variant].conversions;
+                    effects[factor][level] = total;
+                });
+                Object.keys(effects[factor]).forEach(level => {
+                    const total = effects[factor][level];
+                    total.conversionRate = total.visitors ? total.conversions / total.visitors : 0;
+                });
+            });
+            
+            return effects;
+        }
+
+        /**
+         * Wilson score interval of a conversion rate
+         * @param {number} conversions - Converted visitors
+         * @param {number} visitors - Exposed visitors
+         * @returns {Array<number>} [lower, upper]
+         */
+        confidenceInterval(conversions, visitors) {
+            if (!visitors) return [0, 0];
+            
+            const z = normalQuantile(1 - (1 - this.config.confidenceLevel) / 2);
+            const p = conversions / visitors;
+            const denominator = 1 + z * z / visitors;
+            const center = (p + z * z / (2 * visitors)) / denominator;
+            const margin = z * Math.sqrt(p * (1 - p) / visitors + z * z / (4 * visitors * visitors)) / denominator;
+            
+            return [Math.max(0, center - margin), Math.min(1, center + margin)];
+        }
+
+        /**
+         * Two-proportion z-test of a variant against control
+         * @param {Object} control - Control counts
+         * @param {Object} variant - Variant counts
+         * @returns {Object} z-score and two-sided p-value
+         */
+        zTest(control, variant) {
+            if (!control.visitors || !variant.visitors) {
+                return { z: 0, pValue: 1 };
+            }
+            
+            const pooled = (control.conversions + variant.conversions) / (control.visitors + variant.visitors);
+            const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.visitors + 1 / variant.visitors));
+            if (!standardError) {
+                return { z: 0, pValue: 1 };
+            }
+            
+            const z = (variant.conversions / variant.visitors - control.conversions / control.visitors) / standardError;
+            return { z: z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+        }
+
+        /**
+         * Probability that a variant beats control, using Beta(1, 1) priors
+         * and a normal approximation of the posterior difference
+         * @param {Object} control - Control counts
+         * @param {Object} variant - Variant counts
+         * @returns {number} Probability in [0, 1]
+         */
+        probabilityToBeatControl(control, variant) {
+            const posterior = counts => {
+                const alpha = counts.conversions + 1;
+                const beta = counts.visitors - counts.conversions + 1;
+                const mean = alpha / (alpha + beta);
+                const variance = (alpha * beta) / (Math.pow(alpha + beta, 2) * (alpha + beta + 1));
+                return { mean: mean, variance: variance };
+            };
+            
+            const a = posterior(control);
+            const b = posterior(variant);
+            return normalCdf((b.mean - a.mean) / Math.sqrt(a.variance + b.variance));
+        }
+
+        /**
+         * Sample ratio mismatch check (chi-square goodness of fit)
+         * @param {string} testName - The name of the test
+         * @param {Object} counts - Counts per variant
+         * @returns {Object} Statistic, p-value and mismatch flag
+         */
+        sampleRatioMismatch(testName, counts) {
+            const shares = this.getExpectedShares(testName);
+            const variants = Object.keys(counts).filter(variant => shares[variant] > 0);
+            const total = variants.reduce((sum, variant) => sum + counts[variant].visitors, 0);
+            
+            if (!total || variants.length < 2) {
+                return { statistic: 0, pValue: 1, mismatch: false };
+            }
+            
+            const statistic = variants.reduce((sum, variant) => {
+                const expected = total * shares[variant];
+                return sum + Math.pow(counts[variant].visitors - expected, 2) / expected;
+            }, 0);
+            const pValue = chiSquarePValue(statistic, variants.length - 1);
+            
+            return { statistic: statistic, pValue: pValue, mismatch: pValue < this.config.srmThreshold };
+        }
+
+        /**
+         * Minimum visitors per variant to detect a relative lift
+         * @param {number} baselineRate - Control conversion rate
+         * @param {number} minimumDetectableEffect - Relative lift, e.g. 0.1
+         * @returns {number|null} Visitors per variant
+         */
+        minimumSampleSize(baselineRate, minimumDetectableEffect = this.config.minimumDetectableEffect) {
+            const p1 = baselineRate;
+            const p2 = baselineRate * (1 + minimumDetectableEffect);
+            if (p1 <= 0 || p2 >= 1 || p1 === p2) return null;
+            
+            const zAlpha = normalQuantile(1 - (1 - this.config.confidenceLevel) / 2);
+            const zBeta = normalQuantile(this.config.power);
+            const pBar = (p1 + p2) / 2;
+            const numerator = zAlpha * Math.sqrt(2 * pBar * (1 - pBar)) +
+                zBeta * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2));
+            
+            return Math.ceil(Math.pow(numerator, 2) / Math.pow(p2 - p1, 2));
+        }
+
+        /**
+         * Analyze one test
+         * @param {Array<Object>} events - Exported events
+         * @param {string} testName - The name of the test
+         * @param {Object} options - { conversionType, minimumDetectableEffect }
+         * @returns {Object} Test report
+         */
+        analyzeTest(events, testName, options = {}) {
+            const counts = this.countVariants(events, testName, options.conversionType);
+            const controlName = this.getControlVariant(testName);
+            const control = counts[controlName];
+            const alpha = 1 - this.config.confidenceLevel;
+            
+            const variants = Object.keys(counts).map(variant => {
+                const current = counts[variant];
+                const rate = current.visitors ? current.conversions / current.visitors : 0;
+                const result = {
+                    variant: variant,
+                    control: variant === controlName,
+                    visitors: current.visitors,
+                    conversions: current.conversions,
+                    conversionRate: rate,
+                    confidenceInterval: this.confidenceInterval(current.conversions, current.visitors)
+                };
+                
+                if (variant !== controlName) {
+                    const controlRate = control.visitors ? control.conversions / control.visitors : 0;
+                    const test = this.zTest(control, current);
+                    
+                    result.relativeLift = controlRate ? (rate - controlRate) / controlRate : null;
+                    result.zScore = test.z;
+                    result.pValue = test.pValue;
+                    result.significant = test.pValue < alpha;
+                    result.probabilityToBeatControl = this.probabilityToBeatControl(control, current);
+                }
+                
+                return result;
+            });
+            
+            const baselineRate = control && control.visitors ? control.conversions / control.visitors : 0;
+            
+            return {
+                test: testName,
+                controlVariant: controlName,
+                conversionType: options.conversionType || null,
+                variants: variants,
+                factors: this.factorEffects(testName, counts),
+                sampleRatioMismatch: this.sampleRatioMismatch(testName, counts),
+                minimumSampleSizePerVariant: this.minimumSampleSize(baselineRate, options.minimumDetectableEffect)
+            };
+        }
+
+        /**
+         * Analyze every test defined in AB_TEST_CONFIG
+         * @param {Array<Object>} events - Exported events
+         * @param {Object} options - See analyzeTest
+         * @returns {Array<Object>} Test reports
+         */
+        analyzeAll(events, options = {}) {
+            return Object.keys(this.testConfig.tests).map(testName => this.analyzeTest(events, testName, options));
+        }
+    }
+
+    // Node entry point
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            ABResults: ABResults,
+            RESULTS_CONFIG: RESULTS_CONFIG,
+            normalCdf: normalCdf,
+            normalQuantile: normalQuantile,
+            chiSquarePValue: chiSquarePValue
+        };
+
+        if (require.main === module) {
+            const fs = require('fs');
+            const path = require('path');
+            const args = process.argv.slice(2);
+            const option = name => {
+                const index = args.indexOf(`--${name}`);
+                return index !== -1 ? args[index + 1] : undefined;
+            };
+            
+            if (!args[0]) {
+                console.error('Usage: node ab-results.js <events.json|events.ndjson> [--test name] [--conversion-type type] [--mde 0.1]');
+                process.exit(1);
+            }
+            
+            // Accepts a JSON array, { events: [...] } or newline-delimited JSON
+            const content = fs.readFileSync(args[0], 'utf8').trim();
+            let events;
+            try {
+                const parsed = JSON.parse(content);
+                events = Array.isArray(parsed) ? parsed : parsed.events || [];
+            } catch (e) {
+                events = content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+            }
+            
+            const { AB_TEST_CONFIG, FACTOR_SEPARATOR, expandFactors } = require(path.join(__dirname, 'ab-testing.js'));
+            expandFactors(AB_TEST_CONFIG.tests);
+            const results = new ABResults(AB_TEST_CONFIG, RESULTS_CONFIG, FACTOR_SEPARATOR);
+            const options = {
+                conversionType: option('conversion-type'),
+                minimumDetectableEffect: option('mde') ? parseFloat(option('mde')) : undefined
+            };
+            const testName = option('test');
+            
+            const report = testName ? [results.analyzeTest(events, testName, options)] : results.analyzeAll(events, options);
+            console.log(JSON.stringify(report, null, 2));
+        }
+    }
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.ABResults = ABResults;
+    }
+})();
\ No newline at end of file
@@ -10,30 +10,33 @@
 (function() {
     'use strict';
     
-    // Configuration
-    const AB_TEST_CONFIG = {
-        tests: {
-            'hero_headline': ['A', 'B'],
-            'why_now_text': ['A', 'B'],
-            'cta_button_color': ['blue', 'yellow']
-        },
-        cookieExpiryDays: 30,
-        localStoragePrefix: 'ab_test_',
-        analyticsEnabled: true
-    };
+    // Experiment definitions are shared with the head bootstrap (ab-config.js)
+    const { AB_TEST_CONFIG, FACTOR_SEPARATOR, expandFactors } = typeof module !== 'undefined' && module.exports
+        ? require('./ab-config.js')
+        : window.abConfig;
 
     // Main A/B testing class
     class ABTesting {
         constructor(config) {
             this.config = config;
             this.variants = {};
-            this.initialize();
+            this.assignments = {};
+            this.holdout = false;
+            this.visitorId = null;
+            this.ready = this.initialize();
         }
 
         /**
          * Initialize A/B tests
+         * @returns {Promise<void>} Resolves once variants are applied
          */
-        initialize() {
+        async initialize() {
+            await this.loadExperiments();
+            expandFactors(this.config.tests);
+            
+            // Variant copy follows the visitor's language
+            document.addEventListener('locale:change', () => this.applyVariants());
+            
             // Check if we're in preview mode
             const urlParams = new URLSearchParams(window.location.search);
             if (urlParams.has('ab_preview')) {
@@ -41,6 +44,10 @@
                 return;
             }
 
+            this.visitorId = this.getVisitorId();
+            this.holdout = this.assignHoldout();
+            this.setupConsentHandling();
+            
             // Assign variants for each test
             Object.keys(this.config.tests).forEach(testName => {
                 this.assignVariant(testName);
@@ -53,6 +60,171 @@
             this.trackImpressions();
         }
 
+        /**
+         * Load experiment definitions from the configured JSON file
+         */
+        async loadExperiments() {
+            if (!this.config.experimentsUrl) return;
+            
+            try {
+                const response = await fetch(this.config.experimentsUrl, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`Failed to load experiments: ${response.status}`);
+                }
+                
+                const experiments = await response.json();
+                this.config.tests = Object.assign({}, this.config.tests, experiments.tests || experiments);
+                if (experiments.layers) {
+                    this.config.layers = Object.assign({}, this.config.layers, experiments.layers);
+                }
+            } catch (e) {
+                console.error('A/B experiments loading error:', e);
+            }
+        }
+
+        /**
+         * Get variant names of a test
+         * @param {string} testName - The name of the test
+         * @returns {Array<string>} Variant names
+         */
+        getVariantNames(testName) {
+            const test = this.config.tests[testName];
+            if (!test) return [];
+            
+            // Plain arrays are variants without DOM changes
+            return Array.isArray(test) ? test : Object.keys(test.variants || {});
+        }
+
+        /**
+         * Get the control variant of a test
+         * @param {string} testName - The name of the test
+         * @returns {string} Control variant name
+         */
+        getControlVariant(testName) {
+            const test = this.config.tests[testName];
+            const variants = this.getVariantNames(testName);
+            
+            if (test && test.control && variants.includes(test.control)) {
+                return test.control;
+            }
+            
+            return variants[0];
+        }
+
+        /**
+         * Get normalized traffic weights of a test
+         * @param {string} testName - The name of the test
+         * @returns {Object} Weight percentage per variant
+         */
+        getVariantWeights(testName) {
+            const test = this.config.tests[testName];
+            const variants = this.getVariantNames(testName);
+            const weights = {};
+            let total = 0;
+            
+            variants.forEach(variant => {
+                const weight = test && test.weights && typeof test.weights[variant] === 'number'
+                    ? Math.max(test.weights[variant], 0)
+                    : (test && test.weights ? 0 : 1);
+                weights[variant] = weight;
+                total += weight;
+            });
+            
+            variants.forEach(variant => {
+                weights[variant] = total > 0 ? (weights[variant] / total) * 100 : 100 / variants.length;
+            });
+            
+            return weights;
+        }
+
+        /**
+         * Get traffic percentage of a test
+         * @param {string} testName - The name of the test
+         * @returns {number} Percentage of visitors entering the test
+         */
+        getTrafficPercentage(testName) {
+            const test = this.config.tests[testName];
+            if (!test || typeof test.traffic !== 'number') return 100;
+            
+            return Math.min(Math.max(test.traffic, 0), 100);
+        }
+
+        /**
+         * Get the layer a test belongs to
+         * @param {string} testName - The name of the test
+         * @returns {string|null} Layer name
+         */
+        getLayer(testName) {
+            const layers = this.config.layers || {};
+            
+            return Object.keys(layers).find(layerName => {
+                return Object.prototype.hasOwnProperty.call(layers[layerName].tests || {}, testName);
+            }) || null;
+        }
+
+        /**
+         * Get the test of a layer the visitor falls into
+         * @param {string} layerName - The name of the layer
+         * @returns {string|null} Test name (null when the visitor is in no slice)
+         */
+        getLayerTest(layerName) {
+            const layer = this.config.layers[layerName];
+            const tests = layer.tests || {};
+            const target = this.hashToBucket(`${this.visitorId}:layer:${layerName}:${layer.salt || ''}:layer`) * 100;
+            let cumulative = 0;
+            
+            for (const testName of Object.keys(tests)) {
+                cumulative += Math.max(tests[testName], 0);
+                if (target < cumulative) return testName;
+            }
+            
+            return null;
+        }
+
+        /**
+         * Get the schedule state of a test
+         * @param {string} testName - The name of the test
+         * @param {Date} now - Current time
+         * @returns {string} 'pending', 'running' or 'ended'
+         */
+        getScheduleState(testName, now = new Date()) {
+            const test = this.config.tests[testName];
+            if (!test || Array.isArray(test)) return 'running';
+            
+            if (test.start && now < new Date(test.start)) return 'pending';
+            if (test.end && now >= new Date(test.end)) return 'ended';
+            return 'running';
+        }
+
+        /**
+         * Get the variant everyone sees once a test has ended
+         * @param {string} testName - The name of the test
+         * @returns {string} Winner, or the control if none was picked
+         */
+        getWinner(testName) {
+            const test = this.config.tests[testName];
+            
+            if (test && test.winner && this.getVariantNames(testName).includes(test.winner)) {
+                return test.winner;
+            }
+            
+            return this.getControlVariant(testName);
+        }
+
+        /**
+         * Get DOM changes of a test variant
+         * @param {string} testName - The name of the test
+         * @param {string} variant - The variant name
+         * @returns {Array<Object>} Changes to apply
+         */
+        getVariantChanges(testName, variant) {
+            const test = this.config.tests[testName];
+            if (!test || Array.isArray(test) || !test.variants) return [];
+            
+            const changes = test.variants[variant];
+            return Array.isArray(changes) ? changes : [];
+        }
+
         /**
          * Handle preview mode for testing
          */
@@ -60,10 +232,9 @@
             const testName = params.get('ab_preview');
             const variant = params.get('variant');
             
-            if (testName && variant && this.config.tests[testName] && this.config.tests[testName].includes(variant)) {
+            if (testName && variant && this.getVariantNames(testName).includes(variant)) {
                 // Set variant for preview
-                localStorage.setItem(`${this.config.localStoragePrefix}${testName}`, variant);
-                this.variants[testName] = variant;
+                this.setAssignment(testName, variant, true, 'preview');
                 
                 // Apply variants
                 this.applyVariants();
@@ -125,15 +296,174 @@
             indicator.appendChild(closeButton);
         }
 
+        /**
+         * Get or create the stable visitor ID cookie
+         * @returns {string} Visitor ID
+         */
+        getVisitorId() {
+            let visitorId = this.canPersist() ? this.getCookie(this.config.visitorCookieName) : null;
+            
+            if (!visitorId) {
+                visitorId = window.crypto && typeof window.crypto.randomUUID === 'function'
+                    ? window.crypto.randomUUID()
+                    : `v_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            }
+            
+            // Refresh expiry on every visit
+            if (this.canPersist()) {
+                this.setCookie(this.config.visitorCookieName, visitorId, this.config.cookieExpiryDays);
+            }
+            return visitorId;
+        }
+
+        /**
+         * Check whether assignments may be stored on the device
+         * @returns {boolean} Whether analytics consent is granted
+         */
+        canPersist() {
+            return !window.consent || window.consent.has('analytics');
+        }
+
+        /**
+         * Persist or clear visitor ID and assignments when consent changes
+         */
+        setupConsentHandling() {
+            if (!window.consent) return;
+            
+            window.consent.onChange(() => {
+                if (this.canPersist()) {
+                    this.setCookie(this.config.visitorCookieName, this.visitorId, this.config.cookieExpiryDays);
+                    Object.keys(this.assignments).forEach(testName => {
+                        const assignment = this.assignments[testName];
+                        this.setAssignment(testName, assignment.variant, assignment.exposed, assignment.reason);
+                    });
+                } else {
+                    this.setCookie(this.config.visitorCookieName, '', -1);
+                    Object.keys(this.config.tests).forEach(testName => {
+                        localStorage.removeItem(`${this.config.localStoragePrefix}${testName}`);
+                    });
+                }
+            });
+        }
+
+        /**
+         * Read a cookie
+         * @param {string} name - Cookie name
+         * @returns {string|null} Cookie value
+         */
+        getCookie(name) {
+            const match = document.cookie.match(new RegExp(`(?:^|; )${name}=([^;]*)`));
+            return match ? decodeURIComponent(match[1]) : null;
+        }
+
+        /**
+         * Write a first-party cookie
+         * @param {string} name - Cookie name
+         * @param {string} value - Cookie value
+         * @param {number} days - Days until expiry
+         */
+        setCookie(name, value, days) {
+            const expires = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toUTCString();
+            const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+            document.cookie = `${name}=${encodeURIComponent(value)}; expires=${expires}; path=/; SameSite=Lax${secure}`;
+        }
+
+        /**
+         * Hash a string into a bucket in [0, 1) using 32-bit FNV-1a
+         * @param {string} input - The string to hash
+         * @returns {number} Bucket
+         */
+        hashToBucket(input) {
+            let hash = 0x811c9dc5;
+            
+            for (let i = 0; i < input.length; i++) {
+                hash ^= input.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            
+            return (hash >>> 0) / 4294967296;
+        }
+
+        /**
+         * Get the visitor's bucket for a test stage
+         * @param {string} testName - The name of the test
+         * @param {string} stage - 'traffic' or 'variant'
+         * @returns {number} Bucket in [0, 1)
+         */
+        getBucket(testName, stage) {
+            const test = this.config.tests[testName];
+            const salt = testName === 'holdout'
+                ? (this.config.holdoutSalt || '')
+                : (test && test.salt) || '';
+            
+            return this.hashToBucket(`${this.visitorId}:${testName}:${salt}:${stage}`);
+        }
+
+        /**
+         * Assign the visitor to the global holdout group
+         * @returns {boolean} Whether the visitor is held out
+         */
+        assignHoldout() {
+            return this.getBucket('holdout', 'traffic') * 100 < (this.config.holdoutPercentage || 0);
+        }
+
+        /**
+         * Read a stored assignment
+         * @param {string} testName - The name of the test
+         * @returns {Object|null} Stored assignment
+         */
+        getStoredAssignment(testName) {
+            const stored = localStorage.getItem(`${this.config.localStoragePrefix}${testName}`);
+            if (!stored) return null;
+            
+            let assignment = null;
+            try {
+                assignment = JSON.parse(stored);
+            } catch (e) {
+                // Not JSON, handled below
+            }
+            
+            // Plain variant names were stored before exposure tracking
+            if (!assignment || typeof assignment !== 'object') {
+                assignment = { variant: stored, exposed: true, reason: 'assigned' };
+            }
+            
+            if (!this.getVariantNames(testName).includes(assignment.variant)) {
+                return null;
+            }
+            
+            return assignment;
+        }
+
+        /**
+         * Set and store a test assignment
+         * @param {string} testName - The name of the test
+         * @param {string} variant - The assigned variant
+         * @param {boolean} exposed - Whether the visitor takes part in the test
+         * @param {string} reason - How the variant was chosen
+         */
+        setAssignment(testName, variant, exposed, reason) {
+            const assignment = { variant: variant, exposed: exposed, reason: reason };
+            
+            this.variants[testName] = variant;
+            this.assignments[testName] = assignment;
+            
+            if (this.canPersist()) {
+                localStorage.setItem(`${this.config.localStoragePrefix}${testName}`, JSON.stringify(assignment));
+            }
+        }
+
         /**
          * Assign a variant for a specific test
          * @param {string} testName - The name of the test
          */
         assignVariant(testName) {
-            // Check if variant is already set
-            const storedVariant = localStorage.getItem(`${this.config.localStoragePrefix}${testName}`);
-            if (storedVariant && this.config.tests[testName].includes(storedVariant)) {
-                this.variants[testName] = storedVariant;
+            // Manual overrides stick; hashed assignments are recomputed so
+            // that weight or salt changes take effect
+            const storedAssignment = this.getStoredAssignment(testName);
+            if (storedAssignment && (storedAssignment.reason === 'url' || storedAssignment.reason === 'preview')) {
+                this.variants[testName] = storedAssignment.variant;
+                this.assignments[testName] = storedAssignment;
                 return;
             }
 
@@ -141,21 +471,72 @@
             const urlParams = new URLSearchParams(window.location.search);
             if (urlParams.has(`ab_${testName}`)) {
                 const paramVariant = urlParams.get(`ab_${testName}`);
-                if (this.config.tests[testName].includes(paramVariant)) {
-                    this.variants[testName] = paramVariant;
-                    localStorage.setItem(`${this.config.localStoragePrefix}${testName}`, paramVariant);
+                if (this.getVariantNames(testName).includes(paramVariant)) {
+                    this.setAssignment(testName, paramVariant, true, 'url');
                     return;
                 }
             }
 
-            // Randomly assign a variant
-            const variants = this.config.tests[testName];
-            const randomIndex = Math.floor(Math.random() * variants.length);
-            const selectedVariant = variants[randomIndex];
+            // Ad-matched copy replaces the test; not stored, so the next
+            // visit without a matching ad falls back to the assignment
+            if (window.personalization && window.personalization.overrides(testName)) {
+                this.variants[testName] = this.getControlVariant(testName);
+                this.assignments[testName] = { variant: this.variants[testName], exposed: false, reason: 'personalized' };
+                return;
+            }
+
+            // Scheduled tests show the control before they start and the
+            // winner once they end, to everyone
+            const schedule = this.getScheduleState(testName);
+            if (schedule === 'pending') {
+                this.setAssignment(testName, this.getControlVariant(testName), false, 'scheduled');
+                return;
+            }
+            if (schedule === 'ended') {
+                this.setAssignment(testName, this.getWinner(testName), false, 'ended');
+                return;
+            }
+
+            // Holdout visitors see the control everywhere
+            if (this.holdout) {
+                this.setAssignment(testName, this.getControlVariant(testName), false, 'holdout');
+                return;
+            }
+
+            // Visitors enter at most one test per layer
+            const layerName = this.getLayer(testName);
+            if (layerName && this.getLayerTest(layerName) !== testName) {
+                this.setAssignment(testName, this.getControlVariant(testName), false, 'layer');
+                return;
+            }
+
+            // Only part of the traffic enters the test
+            if (this.getBucket(testName, 'traffic') * 100 >= this.getTrafficPercentage(testName)) {
+                this.setAssignment(testName, this.getControlVariant(testName), false, 'traffic');
+                return;
+            }
+
+            this.setAssignment(testName, this.pickWeightedVariant(testName, this.getBucket(testName, 'variant')), true, 'assigned');
+        }
+
+        /**
+         * Pick a variant according to its weight
+         * @param {string} testName - The name of the test
+         * @param {number} point - Number in [0, 1)
+         * @returns {string} Selected variant
+         */
+        pickWeightedVariant(testName, point) {
+            const weights = this.getVariantWeights(testName);
+            const variants = Object.keys(weights);
+            const target = point * 100;
+            let cumulative = 0;
+            
+            for (const variant of variants) {
+                cumulative += weights[variant];
+                if (target < cumulative) return variant;
+            }
             
-            // Store variant
-            this.variants[testName] = selectedVariant;
-            localStorage.setItem(`${this.config.localStoragePrefix}${testName}`, selectedVariant);
+            return variants[variants.length - 1];
         }
 
         /**
@@ -165,83 +546,57 @@
             Object.keys(this.variants).forEach(testName => {
                 const variant = this.variants[testName];
                 
-                switch(testName) {
-                    case 'hero_headline':
-                        this.applyHeroHeadlineVariant(variant);
-                        break;
-                    case 'why_now_text':
-                        this.applyWhyNowTextVariant(variant);
-                        break;
-                    case 'cta_button_color':
-                        this.applyCtaButtonColorVariant(variant);
-                        break;
-                }
+                // The personalization rule owns these elements
+                if (this.assignments[testName] && this.assignments[testName].reason === 'personalized') return;
+                
+                this.getVariantChanges(testName, variant).forEach(change => {
+                    try {
+                        this.applyChange(change);
+                    } catch (e) {
+                        console.error(`A/B variant error (${testName} - ${variant}):`, e);
+                    }
+                });
             });
         }
 
         /**
-         * Apply hero headline variant
-         * @param {string} variant - The variant to apply
+         * Apply a single declarative change to every matching element
+         * @param {Object} change - The change definition
          */
-        applyHeroHeadlineVariant(variant) {
-            const heroSection = document.getElementById('hero');
-            if (!heroSection) return;
-            
-            heroSection.setAttribute('data-variant', variant);
+        applyChange(change) {
+            if (!change.selector) return;
             
-            const title = heroSection.querySelector('.hero__title');
-            if (!title) return;
+            const html = this.localize(change.html);
+            const text = this.localize(change.text);
             
-            if (variant === 'B') {
-                title.innerHTML = 'وقف هدر الفلوس على إعلانات ما تجيب نتيجة… <span class="hero__title-highlight">نضمن الزيادة وإلا ما تدفع</span>';
-            } else {
-                title.innerHTML = '<span class="hero__title-highlight">نرفع مبيعات مشروعك خلال ٩٠ يوم…</span> وإلا نرجّع رسومنا';
-            }
-        }
-
-        /**
-         * Apply why now text variant
-         * @param {string} variant - The variant to apply
-         */
-        applyWhyNowTextVariant(variant) {
-            const whyNowSection = document.getElementById('why-now');
-            if (!whyNowSection) return;
-            
-            whyNowSection.setAttribute('data-variant', variant);
-            
-            const urgencyFinal = document.getElementById('urgency-final');
-            if (!urgencyFinal) return;
-            
-            if (variant === 'B') {
-                urgencyFinal.textContent = 'كل أسبوع تأخير = تكاليف أعلى ونمو أبطأ — خلّنا نبدأ بخطة واضحة.';
-            } else {
-                urgencyFinal.textContent = 'مقاعد الشراكة لهالشهر قربت تكتمل — احجز قبل ما تقفل.';
-            }
+            document.querySelectorAll(change.selector).forEach(element => {
+                if (typeof html === 'string') {
+                    element.innerHTML = html;
+                } else if (typeof text === 'string') {
+                    element.textContent = text;
+                }
+                
+                Object.keys(change.attributes || {}).forEach(name => {
+                    element.setAttribute(name, change.attributes[name]);
+                });
+                
+                (change.removeClass || []).forEach(className => element.classList.remove(className));
+                (change.addClass || []).forEach(className => element.classList.add(className));
+                
+                Object.keys(change.style || {}).forEach(property => {
+                    element.style[property] = change.style[property];
+                });
+            });
         }
 
         /**
-         * Apply CTA button color variant
-         * @param {string} variant - The variant to apply
+         * Resolve copy given per locale ({ ar, en }) for the current locale
+         * @param {*} value - Plain or localized value
+         * @returns {*} Value to apply
          */
-        applyCtaButtonColorVariant(variant) {
-            const ctaButtons = document.querySelectorAll('[data-cta-id]');
-            if (!ctaButtons.length) return;
-            
-            ctaButtons.forEach(button => {
-                button.setAttribute('data-variant', variant);
-                
-                if (variant === 'yellow') {
-                    button.classList.remove('btn--primary');
-                    button.classList.add('btn--yellow');
-                    button.style.background = '#F2C526';
-                    button.style.color = '#000';
-                } else {
-                    button.classList.remove('btn--yellow');
-                    button.classList.add('btn--primary');
-                    button.style.background = '';
-                    button.style.color = '';
-                }
-            });
+        localize(value) {
+            if (window.i18n) return window.i18n.pick(value);
+            return value && typeof value === 'object' ? value.ar : value;
         }
 
         /**
@@ -252,36 +607,64 @@
             
             Object.keys(this.variants).forEach(testName => {
                 const variant = this.variants[testName];
+                const exposure = this.getExposure(testName);
                 
-                // Google Analytics 4
-                if (window.gtag) {
-                    try {
-                        gtag('event', 'ab_test_impression', {
-                            'test_name': testName,
-                            'variant': variant
-                        });
-                    } catch (e) {
-                        console.error('GA4 tracking error:', e);
-                    }
-                }
-                
-                // Meta Pixel
-                if (window.fbq) {
-                    try {
-                        fbq('trackCustom', 'AB_Test_Impression', {
-                            test_name: testName,
-                            variant: variant
-                        });
-                    } catch (e) {
-                        console.error('Meta Pixel tracking error:', e);
-                    }
-                }
+                this.trackEvent('ab_test_impression', {
+                    'test_name': testName,
+                    'variant': variant,
+                    'exposed': exposure.exposed,
+                    'exposure_reason': exposure.reason,
+                    'variant_weight': exposure.weight,
+                    'traffic_percentage': exposure.traffic,
+                    'holdout': exposure.holdout,
+                    'layer': exposure.layer,
+                    'guard_timeout': window.abBootstrap ? window.abBootstrap.timedOut : null,
+                    'visitor_id': this.visitorId
+                });
                 
                 // Console logging
-                console.log(`[A/B Testing] Impression: ${testName} - ${variant}`);
+                console.log(`[A/B Testing] Impression: ${testName} - ${variant} (${exposure.reason})`);
             });
         }
 
+        /**
+         * Get all assignments with exposure, e.g. to attach to leads
+         * @returns {Object} Assignment per test
+         */
+        getExposures() {
+            const exposures = {};
+            
+            Object.keys(this.variants).forEach(testName => {
+                const exposure = this.getExposure(testName);
+                exposures[testName] = {
+                    variant: this.variants[testName],
+                    exposed: exposure.exposed,
+                    reason: exposure.reason
+                };
+            });
+            
+            return exposures;
+        }
+
+        /**
+         * Get exposure details of a test for reporting
+         * @param {string} testName - The name of the test
+         * @returns {Object} Exposure details
+         */
+        getExposure(testName) {
+            const assignment = this.assignments[testName] || { exposed: true, reason: 'assigned' };
+            const weights = this.getVariantWeights(testName);
+            
+            return {
+                exposed: assignment.exposed,
+                reason: assignment.reason,
+                weight: Math.round((weights[this.variants[testName]] || 0) * 100) / 100,
+                traffic: this.getTrafficPercentage(testName),
+                holdout: this.holdout,
+                layer: this.getLayer(testName)
+            };
+        }
+
         /**
          * Track conversion for a test
          * @param {string} testName - The name of the test
@@ -293,62 +676,78 @@
             const variant = this.variants[testName];
             if (!variant) return;
             
-            // Google Analytics 4
-            if (window.gtag) {
-                try {
-                    gtag('event', 'ab_test_conversion', {
-                        'test_name': testName,
-                        'variant': variant,
-                        'conversion_type': conversionType
-                    });
-                } catch (e) {
-                    console.error('GA4 conversion tracking error:', e);
-                }
-            }
+            // Visitors outside the experiment don't count towards its results
+            const assignment = this.assignments[testName];
+            if (assignment && !assignment.exposed) return;
             
-            // Meta Pixel
-            if (window.fbq) {
-                try {
-                    fbq('trackCustom', 'AB_Test_Conversion', {
-                        test_name: testName,
-                        variant: variant,
-                        conversion_type: conversionType
-                    });
-                } catch (e) {
-                    console.error('Meta Pixel conversion tracking error:', e);
-                }
-            }
+            this.trackEvent('ab_test_conversion', {
+                'test_name': testName,
+                'variant': variant,
+                'conversion_type': conversionType
+            });
             
             console.log(`[A/B Testing] Conversion: ${testName} - ${variant} (${conversionType})`);
         }
+
+        /**
+         * Send event to all destinations through the tracker bus
+         * @param {string} name - Event name
+         * @param {Object} params - Event parameters
+         */
+        trackEvent(name, params) {
+            if (window.tracker) {
+                window.tracker.track(name, params);
+            }
+        }
+    }
+
+    // Share experiment definitions with Node tools (ab-results.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            AB_TEST_CONFIG: AB_TEST_CONFIG,
+            ABTesting: ABTesting,
+            FACTOR_SEPARATOR: FACTOR_SEPARATOR,
+            expandFactors: expandFactors
+        };
+    }
+    if (typeof document === 'undefined') return;
+
+    /**
+     * Show the elements hidden by the head bootstrap (ab-bootstrap.js)
+     */
+    function reveal() {
+        if (window.abBootstrap) {
+            window.abBootstrap.reveal();
+        }
     }
 
-    // Initialize A/B testing system
+    // Initialize A/B testing system as soon as the page is parsed; the
+    // bootstrap keeps the variant elements hidden until then
     document.addEventListener('DOMContentLoaded', function() {
-        // Wait for other scripts to initialize
-        setTimeout(() => {
-            try {
-                window.abTesting = new ABTesting(AB_TEST_CONFIG);
+        try {
+            window.abTesting = new ABTesting(AB_TEST_CONFIG);
+            window.abTesting.ready.catch(e => {
+                console.error('A/B Testing initialization error:', e);
+            }).then(reveal);
+            
+            // Track CTA clicks for conversion tracking
+            document.addEventListener('click', function(e) {
+                const cta = e.target.closest('[data-cta-id]');
+                if (!cta) return;
+                
+                const ctaId = cta.getAttribute('data-cta-id');
+                const tests = window.abTesting.config.tests;
                 
-                // Track CTA clicks for conversion tracking
-                document.addEventListener('click', function(e) {
-                    const cta = e.target.closest('[data-cta-id]');
-                    if (!cta) return;
-                    
-                    const ctaId = cta.getAttribute('data-cta-id');
-                    
-                    if (window.abTesting) {
-                        if (ctaId === 'hero_primary') {
-                            window.abTesting.trackConversion('hero_headline', 'cta_click');
-                        } else if (ctaId === 'header_cta' || ctaId === 'sticky_cta') {
-                            window.abTesting.trackConversion('cta_button_color', 'cta_click');
-                        }
+                Object.keys(tests).forEach(testName => {
+                    if (tests[testName] && (tests[testName].ctas || []).includes(ctaId)) {
+                        window.abTesting.trackConversion(testName, 'cta_click');
                     }
                 });
-            } catch (e) {
-                console.error('A/B Testing initialization error:', e);
-            }
-        }, 500);
+            });
+        } catch (e) {
+            console.error('A/B Testing initialization error:', e);
+            reveal();
+        }
     });
 
     // Export for testing
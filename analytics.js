@@ -31,9 +31,13 @@
             this.scrollTracked = {};
             this.sessionId = null;
             this.sessionStart = null;
+            this.landing = null;
             this.timeOnPage = 0;
             this.formStarted = false;
             this.formCompleted = false;
+            this.fieldStats = {};
+            this.lastField = null;
+            this.stepEnteredAt = null;
             
             // Initialize scroll tracking
             this.config.scrollDepthThresholds.forEach(threshold => {
@@ -53,6 +57,45 @@
             this.setupEventListeners();
             this.trackDeviceInfo();
             this.setupPerformanceTracking();
+            this.setupConsentHandling();
+        }
+
+        /**
+         * Check whether analytics data may be stored on the device
+         * @returns {boolean} Whether analytics consent is granted
+         */
+        canStore() {
+            return !window.consent || window.consent.has('analytics');
+        }
+
+        /**
+         * Persist or clear stored data when consent changes
+         */
+        setupConsentHandling() {
+            if (!window.consent) return;
+            
+            window.consent.onChange(() => {
+                if (this.canStore()) {
+                    this.persistSession();
+                } else {
+                    ['session_id', 'session_start', 'session_landing', 'device_info'].forEach(key => {
+                        localStorage.removeItem(key);
+                    });
+                }
+            });
+        }
+
+        /**
+         * Store current session
+         */
+        persistSession() {
+            if (!this.canStore()) return;
+            
+            localStorage.setItem('session_id', this.sessionId);
+            localStorage.setItem('session_start', this.sessionStart.toISOString());
+            if (this.landing) {
+                localStorage.setItem('session_landing', JSON.stringify(this.landing));
+            }
         }
 
         /**
@@ -72,6 +115,8 @@
                 
                 if (sessionDuration > this.config.sessionExpiryMinutes) {
                     this.createNewSession();
+                } else {
+                    this.landing = this.readLanding();
                 }
             } else {
                 this.createNewSession();
@@ -86,8 +131,46 @@
             this.sessionId = `sess_${now.getTime()}_${Math.random().toString(36).substr(2, 9)}`;
             this.sessionStart = now;
             
-            localStorage.setItem('session_id', this.sessionId);
-            localStorage.setItem('session_start', this.sessionStart.toISOString());
+            this.recordLanding();
+            this.persistSession();
+        }
+
+        /**
+         * Record landing context of a new session
+         */
+        recordLanding() {
+            this.landing = {
+                timestamp: this.sessionStart.toISOString(),
+                page: window.location.href
+            };
+        }
+
+        /**
+         * Read stored landing context of the current session
+         * @returns {Object|null} Landing context
+         */
+        readLanding() {
+            try {
+                return JSON.parse(localStorage.getItem('session_landing'));
+            } catch (e) {
+                return null;
+            }
+        }
+
+        /**
+         * Get session context to attach to submitted leads
+         * @returns {Object} Session context
+         */
+        getLeadContext() {
+            const sessionStart = this.sessionStart ? this.sessionStart.toISOString() : null;
+            
+            return {
+                sessionId: this.sessionId,
+                sessionStart: sessionStart,
+                landingTimestamp: this.landing ? this.landing.timestamp : sessionStart,
+                firstTouch: window.attribution ? window.attribution.getFirstTouch() : null,
+                lastTouch: window.attribution ? window.attribution.getLastTouch() : null
+            };
         }
 
         /**
@@ -139,29 +222,17 @@
                 session_id: this.sessionId
             };
             
-            // Google Analytics 4
-            if (window.gtag) {
-                try {
-                    gtag('event', 'cta_click', {
-                        'event_category': 'CTA',
-                        'event_label': ctaId,
-                        'value': 1,
-                        'cta_text': ctaText,
-                        'cta_position': ctaPosition
-                    });
-                } catch (e) {
-                    console.error('GA4 CTA tracking error:', e);
-                }
+            // Last-touch campaign
+            if (window.attribution) {
+                Object.assign(trackingData, window.attribution.getUtm());
             }
             
-            // Meta Pixel
-            if (window.fbq) {
-                try {
-                    fbq('trackCustom', 'CTA_Click', trackingData);
-                } catch (e) {
-                    console.error('Meta Pixel CTA tracking error:', e);
-                }
-            }
+            this.trackEvent('cta_click', Object.assign({
+                'event_category': 'CTA',
+                'event_label': ctaId,
+                'value': 1,
+                'cta_position': ctaPosition
+            }, trackingData));
             
             console.log('[Analytics] CTA Clicked:', trackingData);
         }
@@ -173,30 +244,112 @@
             const form = document.getElementById('lead-form');
             if (!form) return;
             
-            // Track form start
-            const formInputs = form.querySelectorAll('input, select, textarea');
-            formInputs.forEach(input => {
-                input.addEventListener('focus', () => {
-                    if (!this.formStarted) {
-                        this.formStarted = true;
-                        console.log('[Analytics] Form started at:', new Date().toISOString());
-                        
-                        if (window.gtag) {
-                            try {
-                                gtag('event', 'form_start', {
-                                    'event_category': 'Form',
-                                    'event_label': 'Lead Form'
-                                });
-                            } catch (e) {
-                                console.error('GA4 form start tracking error:', e);
-                            }
-                        }
-                    }
+            // Track form start and per-field focus
+            form.addEventListener('focusin', (e) => {
+                const field = this.getTrackedField(e.target);
+                if (!field) return;
+                
+                if (!this.formStarted) {
+                    this.formStarted = true;
+                    this.stepEnteredAt = Date.now();
+                    console.log('[Analytics] Form started at:', new Date().toISOString());
+                    
+                    this.trackEvent('form_start', {
+                        'event_category': 'Form',
+                        'event_label': 'Lead Form'
+                    });
+                }
+                
+                const stats = this.getFieldStats(field.name);
+                stats.focusedAt = Date.now();
+                stats.focusCount++;
+                stats.valueOnFocus = field.value;
+                this.lastField = field.name;
+                
+                if (stats.focusCount === 1) {
+                    this.trackEvent('form_field_focus', {
+                        'event_category': 'Form',
+                        'event_label': field.name,
+                        'field_name': field.name,
+                        'step': this.getFieldStep(field)
+                    });
+                }
+            });
+            
+            // Count deletions as corrections
+            form.addEventListener('input', (e) => {
+                const field = this.getTrackedField(e.target);
+                if (field && e.inputType && e.inputType.indexOf('delete') === 0) {
+                    this.getFieldStats(field.name).corrections++;
+                }
+            });
+            
+            // Track time spent when leaving a field
+            form.addEventListener('focusout', (e) => {
+                const field = this.getTrackedField(e.target);
+                if (!field) return;
+                
+                const stats = this.getFieldStats(field.name);
+                if (!stats.focusedAt) return;
+                
+                const timeSpent = Date.now() - stats.focusedAt;
+                stats.timeSpent += timeSpent;
+                stats.focusedAt = null;
+                
+                // Changing a previously entered value is a correction too
+                if (stats.valueOnFocus && field.value !== stats.valueOnFocus && field.tagName === 'SELECT') {
+                    stats.corrections++;
+                }
+                
+                this.trackEvent('form_field_complete', {
+                    'event_category': 'Form',
+                    'event_label': field.name,
+                    'field_name': field.name,
+                    'step': this.getFieldStep(field),
+                    'filled': field.value.trim() !== '',
+                    'time_spent': timeSpent,
+                    'total_time_spent': stats.timeSpent,
+                    'focus_count': stats.focusCount,
+                    'corrections': stats.corrections,
+                    'errors': stats.errors
+                });
+            });
+            
+            // Track validation errors shown by the form handler
+            form.addEventListener('form:fielderror', (e) => {
+                const stats = this.getFieldStats(e.detail.field);
+                stats.errors++;
+                
+                this.trackEvent('form_field_error', {
+                    'event_category': 'Form',
+                    'event_label': e.detail.field,
+                    'field_name': e.detail.field,
+                    'step': this.getFieldStep(e.target),
+                    'error_message': e.detail.message,
+                    'error_count': stats.errors
+                });
+            });
+            
+            // Track the step funnel from the form wizard
+            form.addEventListener('wizard:stepchange', (e) => {
+                const now = Date.now();
+                
+                this.trackEvent('form_step_change', {
+                    'event_category': 'Form',
+                    'event_label': `Step ${e.detail.to}`,
+                    'from_step': e.detail.from,
+                    'to_step': e.detail.to,
+                    'direction': e.detail.direction,
+                    'step_index': e.detail.index,
+                    'step_total': e.detail.total,
+                    'time_on_step': this.stepEnteredAt ? now - this.stepEnteredAt : null
                 });
+                
+                this.stepEnteredAt = now;
             });
             
             // Track form submission
-            form.addEventListener('submit', () => {
+            form.addEventListener('form:submitted', () => {
                 this.formCompleted = true;
                 console.log('[Analytics] Form completed at:', new Date().toISOString());
             });
@@ -206,20 +359,63 @@
                 if (this.formStarted && !this.formCompleted) {
                     console.log('[Analytics] Form abandoned at:', new Date().toISOString());
                     
-                    if (window.gtag) {
-                        try {
-                            gtag('event', 'form_abandonment', {
-                                'event_category': 'Form',
-                                'event_label': 'Lead Form'
-                            });
-                        } catch (e) {
-                            console.error('GA4 form abandonment tracking error:', e);
-                        }
-                    }
+                    const lastStats = this.lastField ? this.fieldStats[this.lastField] : null;
+                    
+                    this.trackEvent('form_abandonment', {
+                        'event_category': 'Form',
+                        'event_label': 'Lead Form',
+                        'last_field': this.lastField,
+                        'last_field_filled': !!(this.lastField && form.elements[this.lastField] && form.elements[this.lastField].value.trim()),
+                        'last_field_errors': lastStats ? lastStats.errors : 0,
+                        'last_step': window.formWizard ? window.formWizard.currentStep : null,
+                        'fields_touched': Object.keys(this.fieldStats).length
+                    });
                 }
             });
         }
 
+        /**
+         * Get the form field an event belongs to, ignoring spam traps
+         * @param {Element} target - Event target
+         * @returns {Element|null} Tracked field
+         */
+        getTrackedField(target) {
+            if (!target || !target.name || !/^(INPUT|SELECT|TEXTAREA)$/.test(target.tagName)) return null;
+            if (target.type === 'hidden' || target.name === '_honeypot') return null;
+            
+            return target;
+        }
+
+        /**
+         * Get interaction counters of a field
+         * @param {string} name - Field name
+         * @returns {Object} Field stats
+         */
+        getFieldStats(name) {
+            if (!this.fieldStats[name]) {
+                this.fieldStats[name] = {
+                    focusCount: 0,
+                    timeSpent: 0,
+                    corrections: 0,
+                    errors: 0,
+                    focusedAt: null,
+                    valueOnFocus: ''
+                };
+            }
+            
+            return this.fieldStats[name];
+        }
+
+        /**
+         * Get the wizard step containing a field
+         * @param {Element} field - Form field
+         * @returns {number|null} Step number
+         */
+        getFieldStep(field) {
+            const step = field && field.closest ? field.closest('.form-step[data-step]') : null;
+            return step ? parseInt(step.getAttribute('data-step'), 10) : null;
+        }
+
         /**
          * Track scroll depth
          */
@@ -232,29 +428,11 @@
                 if (!this.scrollTracked[threshold] && scrollPercent >= threshold) {
                     this.scrollTracked[threshold] = true;
                     
-                    // Google Analytics 4
-                    if (window.gtag) {
-                        try {
-                            gtag('event', 'scroll_depth', {
-                                'event_category': 'Scroll',
-                                'event_label': `${threshold}%`,
-                                'value': threshold
-                            });
-                        } catch (e) {
-                            console.error('GA4 scroll depth tracking error:', e);
-                        }
-                    }
-                    
-                    // Meta Pixel
-                    if (window.fbq) {
-                        try {
-                            fbq('trackCustom', 'Scroll_Depth', {
-                                scroll_depth: `${threshold}%`
-                            });
-                        } catch (e) {
-                            console.error('Meta Pixel scroll depth tracking error:', e);
-                        }
-                    }
+                    this.trackEvent('scroll_depth', {
+                        'event_category': 'Scroll',
+                        'event_label': `${threshold}%`,
+                        'value': threshold
+                    });
                     
                     console.log(`[Analytics] Scroll Depth: ${threshold}%`);
                 }
@@ -273,16 +451,10 @@
                 if (timeOnPage % 30 === 0) {
                     console.log(`[Analytics] Time on page: ${timeOnPage} seconds`);
                     
-                    if (window.gtag) {
-                        try {
-                            gtag('event', 'time_on_page', {
-                                'event_category': 'Engagement',
-                                'value': timeOnPage
-                            });
-                        } catch (e) {
-                            console.error('GA4 time on page tracking error:', e);
-                        }
-                    }
+                    this.trackEvent('time_on_page', {
+                        'event_category': 'Engagement',
+                        'value': timeOnPage
+                    });
                 }
             }, 10000);
         }
@@ -307,20 +479,16 @@
             console.log('[Analytics] Device Info:', deviceInfo);
             
             // Store in localStorage for session tracking
-            localStorage.setItem('device_info', JSON.stringify(deviceInfo));
+            if (this.canStore()) {
+                localStorage.setItem('device_info', JSON.stringify(deviceInfo));
+            }
             
             // Track in analytics if needed
-            if (window.gtag) {
-                try {
-                    gtag('event', 'device_info', {
-                        'screen_width': screen.width,
-                        'screen_height': screen.height,
-                        'device_type': this.getDeviceType()
-                    });
-                } catch (e) {
-                    console.error('GA4 device info tracking error:', e);
-                }
-            }
+            this.trackEvent('device_info', {
+                'screen_width': screen.width,
+                'screen_height': screen.height,
+                'device_type': this.getDeviceType()
+            });
         }
 
         /**
@@ -348,16 +516,10 @@
                         console.log(`[Analytics] Page Load Time: ${loadTime}ms`);
                         
                         // Track in analytics
-                        if (window.gtag) {
-                            try {
-                                gtag('event', 'page_load_time', {
-                                    'value': loadTime,
-                                    'event_label': 'milliseconds'
-                                });
-                            } catch (e) {
-                                console.error('GA4 page load time tracking error:', e);
-                            }
-                        }
+                        this.trackEvent('page_load_time', {
+                            'value': loadTime,
+                            'event_label': 'milliseconds'
+                        });
                     }
                 }, 0);
             });
@@ -375,16 +537,21 @@
                 
                 console.log('[Analytics] Outbound link clicked:', url);
                 
-                if (window.gtag) {
-                    try {
-                        gtag('event', 'outbound_click', {
-                            'event_category': 'Outbound',
-                            'event_label': url
-                        });
-                    } catch (e) {
-                        console.error('GA4 outbound link tracking error:', e);
-                    }
-                }
+                this.trackEvent('outbound_click', {
+                    'event_category': 'Outbound',
+                    'event_label': url
+                });
+            }
+        }
+
+        /**
+         * Send event to all destinations through the tracker bus
+         * @param {string} name - Event name
+         * @param {Object} params - Event parameters
+         */
+        trackEvent(name, params) {
+            if (window.tracker) {
+                window.tracker.track(name, params);
             }
         }
 
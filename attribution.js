@@ -0,0 +1,219 @@
+/**
+ * Attribution Store
+ * Captures campaign parameters and click IDs on landing and keeps
+ * first-touch / last-touch attribution across visits
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const ATTRIBUTION_CONFIG = {
+        utmParams: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'],
+        clickIdParams: ['gclid', 'fbclid', 'ttclid', 'snapclid'],
+        firstTouchExpiryDays: 90,
+        lastTouchExpiryDays: 30,
+        firstTouchKey: 'attribution_first_touch',
+        lastTouchKey: 'attribution_last_touch',
+        consentCategory: 'marketing'
+    };
+
+    // Attribution class
+    class Attribution {
+        constructor(config) {
+            this.config = config;
+            this.currentTouch = null;
+            this.init();
+        }
+
+        /**
+         * Capture the current landing
+         */
+        init() {
+            this.currentTouch = this.captureTouch();
+            this.storeCurrentTouch();
+            
+            // Until consent allows storage only the current landing is known
+            if (window.consent) {
+                window.consent.onChange(() => {
+                    if (this.canStore()) {
+                        this.storeCurrentTouch();
+                    } else {
+                        localStorage.removeItem(this.config.firstTouchKey);
+                        localStorage.removeItem(this.config.lastTouchKey);
+                    }
+                });
+            }
+        }
+
+        /**
+         * Check whether attribution may be stored on the device
+         * @returns {boolean} Whether consent is granted
+         */
+        canStore() {
+            return !window.consent || window.consent.has(this.config.consentCategory);
+        }
+
+        /**
+         * Store the current landing as first/last touch
+         */
+        storeCurrentTouch() {
+            if (!this.canStore()) return;
+            
+            // Last touch ignores direct visits and internal navigation so a
+            // reload without the query string keeps the ad attribution
+            if (this.isCampaignTouch(this.currentTouch) || !this.readTouch(this.config.lastTouchKey)) {
+                this.saveTouch(this.config.lastTouchKey, this.currentTouch, this.config.lastTouchExpiryDays);
+            }
+            
+            if (!this.readTouch(this.config.firstTouchKey)) {
+                this.saveTouch(this.config.firstTouchKey, this.currentTouch, this.config.firstTouchExpiryDays);
+            }
+        }
+
+        /**
+         * Build a touch point from the current URL and referrer
+         * @returns {Object} Touch point
+         */
+        captureTouch() {
+            const urlParams = new URLSearchParams(window.location.search);
+            const utm = {};
+            const clickIds = {};
+            
+            this.config.utmParams.forEach(param => {
+                if (urlParams.has(param)) {
+                    utm[param] = urlParams.get(param);
+                }
+            });
+            
+            this.config.clickIdParams.forEach(param => {
+                if (urlParams.has(param)) {
+                    clickIds[param] = urlParams.get(param);
+                }
+            });
+            
+            return {
+                timestamp: new Date().toISOString(),
+                landingPage: window.location.href,
+                referrer: this.isExternalReferrer(document.referrer) ? document.referrer : '',
+                utm: utm,
+                clickIds: clickIds
+            };
+        }
+
+        /**
+         * Check whether a touch carries campaign information
+         * @param {Object} touch - Touch point
+         * @returns {boolean} Whether touch is attributable
+         */
+        isCampaignTouch(touch) {
+            return Object.keys(touch.utm).length > 0 ||
+                Object.keys(touch.clickIds).length > 0 ||
+                touch.referrer !== '';
+        }
+
+        /**
+         * Check whether a referrer comes from another site
+         * @param {string} referrer - Referrer URL
+         * @returns {boolean} Whether referrer is external
+         */
+        isExternalReferrer(referrer) {
+            if (!referrer) return false;
+            
+            try {
+                return new URL(referrer).hostname !== window.location.hostname;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        /**
+         * Store a touch point with expiry
+         * @param {string} key - Storage key
+         * @param {Object} touch - Touch point
+         * @param {number} expiryDays - Days until expiry
+         */
+        saveTouch(key, touch, expiryDays) {
+            const record = Object.assign({}, touch, {
+                expiresAt: Date.now() + expiryDays * 24 * 60 * 60 * 1000
+            });
+            
+            try {
+                localStorage.setItem(key, JSON.stringify(record));
+            } catch (e) {
+                console.error('Attribution storage error:', e);
+            }
+        }
+
+        /**
+         * Read a stored touch point, dropping it once expired
+         * @param {string} key - Storage key
+         * @returns {Object|null} Touch point
+         */
+        readTouch(key) {
+            let touch = null;
+            try {
+                touch = JSON.parse(localStorage.getItem(key));
+            } catch (e) {
+                touch = null;
+            }
+            
+            if (!touch || !touch.expiresAt || touch.expiresAt < Date.now()) {
+                if (touch) localStorage.removeItem(key);
+                return null;
+            }
+            
+            return touch;
+        }
+
+        /**
+         * Get first-touch attribution
+         * @returns {Object|null} Touch point
+         */
+        getFirstTouch() {
+            return this.readTouch(this.config.firstTouchKey) || this.currentTouch;
+        }
+
+        /**
+         * Get last-touch attribution
+         * @returns {Object|null} Touch point
+         */
+        getLastTouch() {
+            return this.readTouch(this.config.lastTouchKey) || this.currentTouch;
+        }
+
+        /**
+         * Get UTM parameters of the last touch
+         * @returns {Object} UTM parameters
+         */
+        getUtm() {
+            const lastTouch = this.getLastTouch();
+            return lastTouch ? Object.assign({}, lastTouch.utm) : {};
+        }
+
+        /**
+         * Get click IDs of the last touch
+         * @returns {Object} Click IDs
+         */
+        getClickIds() {
+            const lastTouch = this.getLastTouch();
+            return lastTouch ? Object.assign({}, lastTouch.clickIds) : {};
+        }
+    }
+
+    // Capture attribution immediately, before any navigation changes the URL
+    try {
+        window.attribution = new Attribution(ATTRIBUTION_CONFIG);
+    } catch (e) {
+        console.error('Attribution initialization error:', e);
+    }
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.Attribution = Attribution;
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,435 @@
+/**
+ * Booking Step
+ * Lets qualified leads book their strategy session right after submitting
+ * the form: local slot feed, Calendly or Cal.com embed, KSA/UAE time zones,
+ * confirmation with .ics download and a schedule conversion event.
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const BOOKING_CONFIG = {
+        provider: 'slots', // 'slots' (JSON feed), 'calendly' or 'calcom'
+        slotsUrl: '/api/slots', // { timeZone, durationMinutes, slots: [ISO 8601] }
+        bookingUrl: '/api/bookings',
+        calendlyUrl: 'https://calendly.com/aghrba/strategy-session',
+        calcomUrl: 'https://cal.com/aghrba/strategy-session',
+        timeZones: {
+            SA: { id: 'Asia/Riyadh', labelKey: 'booking.zone_sa' },
+            AE: { id: 'Asia/Dubai', labelKey: 'booking.zone_ae' }
+        },
+        defaultCountry: 'SA',
+        dateLocales: {
+            ar: 'ar-SA-u-ca-gregory-nu-latn', // Gregorian dates, Latin digits
+            en: 'en-GB'
+        },
+        daysShown: 5,
+        requestTimeout: 10000
+    };
+
+    /**
+     * Translate a message through the i18n catalog
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message in the visitor's locale
+     */
+    function t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    // Booking step class
+    class BookingStep {
+        constructor(config) {
+            this.config = config;
+            this.container = null;
+            this.lead = null;
+            this.feed = null;
+            this.timeZone = null;
+            this.scheduled = false;
+            this.handleEmbedMessage = this.handleEmbedMessage.bind(this);
+        }
+
+        /**
+         * Render the booking step
+         * @param {Element} container - Element to render into
+         * @param {Object} lead - Submitted lead (leadId, name, phone, phoneCountry, business_name)
+         */
+        render(container, lead) {
+            this.container = container;
+            this.lead = lead;
+            this.scheduled = false;
+            this.timeZone = this.detectTimeZone(lead);
+            
+            if (this.config.provider === 'calendly' || this.config.provider === 'calcom') {
+                this.renderEmbed();
+            } else {
+                this.renderSlots();
+            }
+        }
+
+        /**
+         * Pick the KSA or UAE time zone for the visitor
+         * @param {Object} lead - Submitted lead
+         * @returns {string} IANA time zone
+         */
+        detectTimeZone(lead) {
+            const zones = this.config.timeZones;
+            const ids = Object.keys(zones).map(country => zones[country].id);
+            
+            try {
+                const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+                if (ids.indexOf(browserZone) !== -1) return browserZone;
+            } catch (e) {
+                // Older browsers without time zone support
+            }
+            
+            const country = lead && zones[lead.phoneCountry] ? lead.phoneCountry : this.config.defaultCountry;
+            return zones[country].id;
+        }
+
+        /**
+         * Render the Calendly or Cal.com inline embed
+         */
+        renderEmbed() {
+            const isCalendly = this.config.provider === 'calendly';
+            const url = new URL(isCalendly ? this.config.calendlyUrl : this.config.calcomUrl);
+            
+            if (isCalendly) {
+                url.searchParams.set('embed_type', 'Inline');
+                url.searchParams.set('embed_domain', window.location.hostname);
+            } else {
+                url.searchParams.set('embed', 'true');
+            }
+            if (this.lead.name) url.searchParams.set('name', this.lead.name);
+            url.searchParams.set('timezone', this.timeZone);
+            
+            this.container.innerHTML = `
+                <div class="booking">
+                    <h3 class="booking__title">${t('booking.title')}</h3>
+                    <iframe class="booking__embed" src="${url.toString()}" title="${t('booking.meeting_title')}" loading="lazy"></iframe>
+                </div>
+            `;
+            
+            window.removeEventListener('message', this.handleEmbedMessage);
+            window.addEventListener('message', this.handleEmbedMessage);
+        }
+
+        /**
+         * Detect bookings made inside the embed
+         * @param {MessageEvent} e - Message from the embed
+         */
+        handleEmbedMessage(e) {
+            const data = e.data || {};
+            const calendlyBooked = e.origin === 'https://calendly.com' && data.event === 'calendly.event_scheduled';
+            const calcomBooked = e.origin === 'https://cal.com' && /^bookingSuccessful/.test(data.type || '');
+            
+            if (calendlyBooked || calcomBooked) {
+                window.removeEventListener('message', this.handleEmbedMessage);
+                this.trackSchedule(null);
+            }
+        }
+
+        /**
+         * Fetch slots and render the picker
+         */
+        async renderSlots() {
+            this.container.innerHTML = `
+                <div class="booking">
+                    <h3 class="booking__title">${t('booking.title')}</h3>
+                    <p class="booking__status">${t('booking.loading')}</p>
+                </div>
+            `;
+            
+            try {
+                this.feed = await this.request(this.config.slotsUrl);
+            } catch (e) {
+                console.error('Booking slots error:', e);
+                this.feed = null;
+            }
+            
+            if (!this.feed || !Array.isArray(this.feed.slots) || !this.feed.slots.length) {
+                this.renderFallback(t('booking.slots_unavailable'));
+                return;
+            }
+            
+            this.renderPicker();
+        }
+
+        /**
+         * Render days, times and the time zone switch
+         */
+        renderPicker() {
+            const days = this.groupSlotsByDay(this.feed.slots).slice(0, this.config.daysShown);
+            const zones = this.config.timeZones;
+            
+            this.container.innerHTML = `
+                <div class="booking">
+                    <h3 class="booking__title">${t('booking.title')}</h3>
+                    <p class="booking__subtitle">${t('booking.subtitle', { minutes: this.feed.durationMinutes || 30 })}</p>
+                    <label class="booking__zone">
+                        <span>${t('booking.zone')}</span>
+                        <select class="form-input" data-booking-zone>
+                            ${Object.keys(zones).map(country => `<option value="${zones[country].id}"${zones[country].id === this.timeZone ? ' selected' : ''}>${t(zones[country].labelKey)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <div class="booking__days">
+                        ${days.map(day => `
+                            <div class="booking__day">
+                                <p class="booking__day-label">${day.label}</p>
+                                <div class="booking__slots">
+                                    ${day.slots.map(slot => `<button type="button" class="booking__slot" data-slot="${slot}">${this.formatTime(slot)}</button>`).join('')}
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <p class="booking__status" role="status"></p>
+                </div>
+            `;
+            
+            this.container.querySelector('[data-booking-zone]').addEventListener('change', (e) => {
+                this.timeZone = e.target.value;
+                this.renderPicker();
+            });
+            
+            this.container.querySelectorAll('[data-slot]').forEach(button => {
+                button.addEventListener('click', () => this.book(button.getAttribute('data-slot'), button));
+            });
+        }
+
+        /**
+         * Group slots by calendar day in the selected time zone
+         * @param {Array<string>} slots - Slot start times
+         * @returns {Array<Object>} { label, slots }
+         */
+        groupSlotsByDay(slots) {
+            const days = [];
+            const dayKey = new Intl.DateTimeFormat('en-CA', { timeZone: this.timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+            const dayLabel = new Intl.DateTimeFormat(this.getDateLocale(), { timeZone: this.timeZone, weekday: 'long', day: 'numeric', month: 'long' });
+            
+            slots.slice().sort((a, b) => new Date(a) - new Date(b)).forEach(slot => {
+                const key = dayKey.format(new Date(slot));
+                let day = days.find(item => item.key === key);
+                if (!day) {
+                    day = { key: key, label: dayLabel.format(new Date(slot)), slots: [] };
+                    days.push(day);
+                }
+                day.slots.push(slot);
+            });
+            
+            return days;
+        }
+
+        /**
+         * Get the Intl locale for dates in the visitor's language
+         * @returns {string} BCP 47 locale
+         */
+        getDateLocale() {
+            const locale = window.i18n ? window.i18n.locale : 'ar';
+            return this.config.dateLocales[locale] || this.config.dateLocales.ar;
+        }
+
+        /**
+         * Format a slot time in the selected time zone
+         * @param {string} slot - Slot start time
+         * @returns {string} Formatted time
+         */
+        formatTime(slot) {
+            return new Intl.DateTimeFormat(this.getDateLocale(), { timeZone: this.timeZone, hour: 'numeric', minute: '2-digit' }).format(new Date(slot));
+        }
+
+        /**
+         * Book a slot
+         * @param {string} slot - Slot start time
+         * @param {Element} button - Clicked slot button
+         */
+        async book(slot, button) {
+            const status = this.container.querySelector('.booking__status');
+            this.container.querySelectorAll('[data-slot]').forEach(item => {
+                item.disabled = true;
+            });
+            button.classList.add('booking__slot--selected');
+            status.textContent = t('booking.confirming');
+            
+            try {
+                const result = await this.request(this.config.bookingUrl, {
+                    leadId: this.lead.leadId,
+                    start: slot,
+                    timeZone: this.timeZone
+                });
+                
+                this.renderConfirmation(result.booking);
+                this.trackSchedule(result.booking);
+            } catch (e) {
+                console.error('Booking error:', e);
+                
+                if (e.status === 409) {
+                    // Slot was taken meanwhile: reload the picker
+                    this.feed.slots = this.feed.slots.filter(item => item !== slot);
+                    this.renderPicker();
+                    this.container.querySelector('.booking__status').textContent = e.userMessage;
+                    return;
+                }
+                
+                this.renderFallback(e.userMessage || t('booking.failed'));
+            }
+        }
+
+        /**
+         * Show the booked meeting with an .ics download
+         * @param {Object} booking - { start, end, timeZone }
+         */
+        renderConfirmation(booking) {
+            const dateLabel = new Intl.DateTimeFormat(this.getDateLocale(), {
+                timeZone: this.timeZone,
+                weekday: 'long',
+                day: 'numeric',
+                month: 'long',
+                hour: 'numeric',
+                minute: '2-digit'
+            }).format(new Date(booking.start));
+            const zone = Object.keys(this.config.timeZones).map(country => this.config.timeZones[country]).find(item => item.id === this.timeZone);
+            
+            this.container.innerHTML = `
+                <div class="success-message booking booking--confirmed">
+                    <h3>${t('booking.confirmed')}</h3>
+                    <p>${dateLabel} (${zone ? t(zone.labelKey) : this.timeZone})</p>
+                    <p>${t('booking.confirmed_text')}</p>
+                    <button type="button" class="btn btn--secondary" data-booking-ics style="margin-top: 1.5rem;">${t('booking.add_to_calendar')}</button>
+                </div>
+            `;
+            
+            this.container.querySelector('[data-booking-ics]').addEventListener('click', () => this.downloadIcs(booking));
+        }
+
+        /**
+         * Show a message when booking isn't possible
+         * @param {string} message - Message to show
+         */
+        renderFallback(message) {
+            this.container.innerHTML = `
+                <div class="success-message booking">
+                    <h3>${t('success.title')}</h3>
+                    <p>${message}</p>
+                </div>
+            `;
+        }
+
+        /**
+         * Build an iCalendar file for a booking
+         * @param {Object} booking - { start, end }
+         * @returns {string} iCalendar content
+         */
+        buildIcs(booking) {
+            const toUtc = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+            const escape = text => String(text).replace(/([,;\\])/g, '\\$1').replace(/\n/g, '\\n');
+            
+            return [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                'PRODID:-//Aghrba//Landing Page//AR',
+                'METHOD:PUBLISH',
+                'BEGIN:VEVENT',
+                `UID:${this.lead.leadId || Date.now()}@aghrba.com`,
+                `DTSTAMP:${toUtc(new Date())}`,
+                `DTSTART:${toUtc(booking.start)}`,
+                `DTEND:${toUtc(booking.end)}`,
+                `SUMMARY:${escape(t('booking.meeting_title'))}`,
+                `DESCRIPTION:${escape(t('booking.meeting_description'))}`,
+                'END:VEVENT',
+                'END:VCALENDAR'
+            ].join('\r\n');
+        }
+
+        /**
+         * Download the booking as an .ics file
+         * @param {Object} booking - { start, end }
+         */
+        downloadIcs(booking) {
+            const blob = new Blob([this.buildIcs(booking)], { type: 'text/calendar;charset=utf-8' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'aghrba-session.ics';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+
+        /**
+         * POST or GET JSON with timeout; errors carry status and the server message
+         * @param {string} url - Endpoint
+         * @param {Object} body - POST body (GET when omitted)
+         * @returns {Promise<Object>} Parsed response
+         */
+        async request(url, body) {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.config.requestTimeout);
+            
+            try {
+                const response = await fetch(url, {
+                    method: body ? 'POST' : 'GET',
+                    headers: Object.assign({ 'Content-Language': window.i18n ? window.i18n.locale : 'ar' }, body ? { 'Content-Type': 'application/json' } : {}),
+                    body: body ? JSON.stringify(body) : undefined,
+                    signal: controller.signal
+                });
+                const result = await response.json().catch(() => ({}));
+                
+                if (!response.ok) {
+                    const error = new Error(`Request failed with status ${response.status}`);
+                    error.status = response.status;
+                    error.userMessage = result.message;
+                    throw error;
+                }
+                
+                return result;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
+
+        /**
+         * Track the schedule conversion once
+         * @param {Object|null} booking - Booking details when known
+         */
+        trackSchedule(booking) {
+            if (this.scheduled) return;
+            this.scheduled = true;
+            
+            this.trackEvent('schedule_meeting', {
+                'event_category': 'Lead',
+                'event_label': this.config.provider,
+                'booking_provider': this.config.provider,
+                'meeting_start': booking ? booking.start : null,
+                'time_zone': this.timeZone
+            });
+        }
+
+        /**
+         * Send event to all destinations through the tracker bus
+         * @param {string} name - Event name
+         * @param {Object} params - Event parameters
+         */
+        trackEvent(name, params) {
+            if (window.tracker) {
+                window.tracker.track(name, params);
+            }
+        }
+    }
+
+    // Create immediately; rendered by the form handler after submission
+    try {
+        window.booking = new BookingStep(BOOKING_CONFIG);
+    } catch (e) {
+        console.error('Booking initialization error:', e);
+    }
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.BookingStep = BookingStep;
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,316 @@
+/**
+ * Captcha - Bot Protection
+ * Fetches a fresh reCAPTCHA v3 or Cloudflare Turnstile token when the lead
+ * form is submitted. The token is verified by the lead intake server.
+ * 
+ * Swap the provider in tests:
+ *   window.captcha.setProvider(new window.Captcha.StubProvider({ token: 'test' }));
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CAPTCHA_CONFIG = {
+        provider: 'recaptcha', // 'recaptcha', 'turnstile', 'stub' or 'none'
+        siteKey: '', // public site key of the provider; no token is requested while empty
+        action: 'submit_lead',
+        formId: 'lead-form',
+        loadTimeout: 8000, // ms to wait for the provider script
+        tokenTimeout: 8000, // ms to wait for a token
+        stubToken: 'stub-token'
+    };
+
+    /**
+     * Load a third-party script once
+     * @param {string} src - Script URL
+     * @returns {Promise} Resolves when the script has loaded
+     */
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const existing = document.querySelector(`script[src="${src}"]`);
+            if (existing && existing.getAttribute('data-loaded') === 'true') {
+                resolve();
+                return;
+            }
+            
+            const script = existing || document.createElement('script');
+            script.addEventListener('load', () => {
+                script.setAttribute('data-loaded', 'true');
+                resolve();
+            });
+            script.addEventListener('error', () => {
+                // A failed element never fires again; drop it so the next
+                // load() adds a fresh one instead of waiting for the timeout
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            });
+            
+            if (!existing) {
+                script.async = true;
+                script.defer = true;
+                script.src = src;
+                document.head.appendChild(script);
+            }
+        });
+    }
+
+    /**
+     * Reject a promise that takes too long
+     * @param {Promise} promise - Promise to wait for
+     * @param {number} ms - Timeout in milliseconds
+     * @param {string} code - Error code on timeout
+     * @returns {Promise} Promise that rejects after the timeout
+     */
+    function withTimeout(promise, ms, code) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                const error = new Error(`Captcha ${code}`);
+                error.code = code;
+                reject(error);
+            }, ms);
+            
+            promise.then(value => {
+                clearTimeout(timer);
+                resolve(value);
+            }, error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    // Google reCAPTCHA v3 provider (invisible, score based)
+    class RecaptchaV3Provider {
+        constructor(config) {
+            this.name = 'recaptcha';
+            this.config = config;
+        }
+
+        load() {
+            return loadScript(`https://www.google.com/recaptcha/api.js?render=${encodeURIComponent(this.config.siteKey)}`);
+        }
+
+        getToken(action) {
+            return new Promise((resolve, reject) => {
+                if (!window.grecaptcha || typeof window.grecaptcha.ready !== 'function') {
+                    reject(new Error('reCAPTCHA is not available'));
+                    return;
+                }
+                
+                window.grecaptcha.ready(() => {
+                    window.grecaptcha.execute(this.config.siteKey, { action: action }).then(resolve, reject);
+                });
+            });
+        }
+    }
+
+    // Cloudflare Turnstile provider (only shows a challenge when needed)
+    class TurnstileProvider {
+        constructor(config) {
+            this.name = 'turnstile';
+            this.config = config;
+            this.widgetId = null;
+            this.pending = null;
+        }
+
+        load() {
+            return loadScript('https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit');
+        }
+
+        /**
+         * Render the widget once, executed on demand
+         * @param {string} action - Action name reported to Turnstile
+         */
+        render(action) {
+            const form = document.getElementById(this.config.formId);
+            const container = document.createElement('div');
+            container.className = 'captcha-widget';
+            (form || document.body).appendChild(container);
+            
+            this.widgetId = window.turnstile.render(container, {
+                sitekey: this.config.siteKey,
+                action: action,
+                execution: 'execute',
+                appearance: 'interaction-only',
+                callback: token => this.settle(null, token),
+                'error-callback': () => this.settle(new Error('Turnstile challenge failed')),
+                'expired-callback': () => this.settle(new Error('Turnstile token expired'))
+            });
+        }
+
+        /**
+         * Resolve or reject the pending token request
+         * @param {Error|null} error - Failure reason
+         * @param {string} token - Issued token
+         */
+        settle(error, token) {
+            if (!this.pending) return;
+            
+            const pending = this.pending;
+            this.pending = null;
+            if (error) {
+                pending.reject(error);
+            } else {
+                pending.resolve(token);
+            }
+        }
+
+        getToken(action) {
+            return new Promise((resolve, reject) => {
+                if (!window.turnstile || typeof window.turnstile.render !== 'function') {
+                    reject(new Error('Turnstile is not available'));
+                    return;
+                }
+                
+                this.settle(new Error('Turnstile token superseded'));
+                this.pending = { resolve: resolve, reject: reject };
+                
+                if (this.widgetId === null) {
+                    this.render(action);
+                } else {
+                    // Tokens are single-use: reset before asking for a new one
+                    window.turnstile.reset(this.widgetId);
+                }
+                window.turnstile.execute(this.widgetId);
+            });
+        }
+    }
+
+    // Local stub for tests and development
+    class StubProvider {
+        constructor(config = {}) {
+            this.name = 'stub';
+            this.config = config;
+        }
+
+        load() {
+            return Promise.resolve();
+        }
+
+        getToken() {
+            return Promise.resolve(this.config.token || this.config.stubToken || 'stub-token');
+        }
+    }
+
+    // Captcha class
+    class Captcha {
+        constructor(config) {
+            this.config = config;
+            this.provider = null;
+            this.loading = null;
+            this.init();
+        }
+
+        /**
+         * Pick the configured provider and load it when the form is used
+         */
+        init() {
+            const providers = {
+                recaptcha: RecaptchaV3Provider,
+                turnstile: TurnstileProvider,
+                stub: StubProvider
+            };
+            
+            const Provider = providers[this.config.provider];
+            if (Provider && (this.config.siteKey || this.config.provider === 'stub')) {
+                this.provider = new Provider(this.config);
+            }
+            
+            // Load the provider script on first interaction to keep page load fast
+            document.addEventListener('DOMContentLoaded', () => {
+                const form = document.getElementById(this.config.formId);
+                if (form) {
+                    form.addEventListener('focusin', () => this.load().catch(() => {}), { once: true });
+                }
+            });
+        }
+
+        /**
+         * Replace the provider (e.g. with a stub in tests)
+         * @param {Object} provider - Object with name, load() and getToken(action)
+         */
+        setProvider(provider) {
+            this.provider = provider;
+            this.loading = null;
+        }
+
+        /**
+         * Load the provider script once
+         * @returns {Promise} Resolves when the provider is ready
+         */
+        load() {
+            if (!this.provider) return Promise.resolve();
+            
+            if (!this.loading) {
+                this.loading = withTimeout(this.provider.load(), this.config.loadTimeout, 'load_timeout')
+                    .catch(error => {
+                        // Allow a retry on the next submit
+                        this.loading = null;
+                        throw error;
+                    });
+            }
+            
+            return this.loading;
+        }
+
+        /**
+         * Fetch a fresh token. Never rejects: without a token the lead is
+         * still sent and the server decides how to treat it.
+         * @param {string} action - Action name reported to the provider
+         * @returns {Promise<Object>} { provider, token, error }
+         */
+        async getToken(action = this.config.action) {
+            if (!this.provider) {
+                return { provider: null, token: null, error: 'not_configured' };
+            }
+            
+            try {
+                await this.load();
+                const token = await withTimeout(this.provider.getToken(action), this.config.tokenTimeout, 'token_timeout');
+                return { provider: this.provider.name, token: token, error: null };
+            } catch (e) {
+                console.error('Captcha error:', e);
+                
+                const error = e.code || 'unavailable';
+                this.trackEvent('captcha_error', {
+                    'event_category': 'Form',
+                    'event_label': this.provider.name,
+                    'error': error
+                });
+                
+                return { provider: this.provider.name, token: null, error: error };
+            }
+        }
+
+        /**
+         * Send event to all destinations through the tracker bus
+         * @param {string} name - Event name
+         * @param {Object} params - Event parameters
+         */
+        trackEvent(name, params) {
+            if (window.tracker) {
+                window.tracker.track(name, params);
+            }
+        }
+    }
+
+    // Create immediately so the form handler can request tokens
+    try {
+        window.captcha = new Captcha(CAPTCHA_CONFIG);
+    } catch (e) {
+        console.error('Captcha initialization error:', e);
+    }
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.Captcha = Captcha;
+        window.Captcha.RecaptchaV3Provider = RecaptchaV3Provider;
+        window.Captcha.TurnstileProvider = TurnstileProvider;
+        window.Captcha.StubProvider = StubProvider;
+    }
+})();
\ No newline at end of file
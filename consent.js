@@ -0,0 +1,292 @@
+/**
+ * Consent Manager
+ * Collects and stores visitor consent per category and signals it to
+ * Google Consent Mode v2 and the other scripts of the page
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CONSENT_CONFIG = {
+        version: 1, // bump to ask everyone again after policy changes
+        storageKey: 'consent_preferences',
+        categories: ['necessary', 'analytics', 'marketing'],
+        expiryDays: 180,
+        waitForUpdate: 500, // ms Google tags wait for a consent update
+        bannerId: 'consent-banner'
+    };
+
+    /**
+     * Translate a message through the i18n catalog
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message in the visitor's locale
+     */
+    function t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    // Consent manager class
+    class ConsentManager {
+        constructor(config) {
+            this.config = config;
+            this.preferences = null;
+            this.listeners = [];
+            this.init();
+        }
+
+        /**
+         * Load stored consent and set Consent Mode defaults
+         */
+        init() {
+            this.preferences = this.loadPreferences();
+            
+            // Defaults must be set before any Google tag loads
+            this.gtagConsent('default', Object.assign(this.getConsentModeState(), {
+                wait_for_update: this.config.waitForUpdate
+            }));
+            
+            document.addEventListener('DOMContentLoaded', () => {
+                if (!this.preferences) {
+                    this.showBanner();
+                }
+                
+                // Re-render an open banner in the new language
+                document.addEventListener('locale:change', () => {
+                    const banner = document.getElementById(this.config.bannerId);
+                    if (banner) {
+                        this.showBanner(!banner.querySelector('.consent-banner__details').hidden);
+                    }
+                });
+                
+                // Footer link to change preferences later
+                document.querySelectorAll('[data-consent-open]').forEach(link => {
+                    link.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        this.showBanner(true);
+                    });
+                });
+            });
+        }
+
+        /**
+         * Read stored preferences, ignoring outdated or expired ones
+         * @returns {Object|null} Stored preferences
+         */
+        loadPreferences() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(this.config.storageKey));
+                if (!stored || stored.version !== this.config.version) return null;
+                
+                const age = Date.now() - new Date(stored.timestamp).getTime();
+                if (age > this.config.expiryDays * 24 * 60 * 60 * 1000) return null;
+                
+                return stored;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        /**
+         * Check whether a category is granted
+         * @param {string} category - Consent category
+         * @returns {boolean} Whether consent is granted
+         */
+        has(category) {
+            if (category === 'necessary') return true;
+            return !!(this.preferences && this.preferences.categories[category]);
+        }
+
+        /**
+         * Check whether the visitor has made a choice
+         * @returns {boolean} Whether preferences exist
+         */
+        hasDecided() {
+            return !!this.preferences;
+        }
+
+        /**
+         * Store new preferences and notify listeners
+         * @param {Object} categories - Granted flag per category
+         */
+        update(categories) {
+            const granted = {};
+            this.config.categories.forEach(category => {
+                granted[category] = category === 'necessary' || !!categories[category];
+            });
+            
+            this.preferences = {
+                version: this.config.version,
+                categories: granted,
+                timestamp: new Date().toISOString()
+            };
+            
+            try {
+                localStorage.setItem(this.config.storageKey, JSON.stringify(this.preferences));
+            } catch (e) {
+                console.error('Consent storage error:', e);
+            }
+            
+            this.gtagConsent('update', this.getConsentModeState());
+            
+            this.listeners.forEach(listener => {
+                try {
+                    listener(granted);
+                } catch (e) {
+                    console.error('Consent listener error:', e);
+                }
+            });
+            
+            console.log('[Consent] Preferences updated:', granted);
+        }
+
+        /**
+         * Grant every category
+         */
+        acceptAll() {
+            this.update({ analytics: true, marketing: true });
+        }
+
+        /**
+         * Keep necessary storage only
+         */
+        rejectAll() {
+            this.update({ analytics: false, marketing: false });
+        }
+
+        /**
+         * Subscribe to consent changes
+         * @param {Function} listener - Called with granted flags per category
+         */
+        onChange(listener) {
+            this.listeners.push(listener);
+        }
+
+        /**
+         * Map categories to Google Consent Mode v2 signals
+         * @returns {Object} Consent Mode state
+         */
+        getConsentModeState() {
+            const analytics = this.has('analytics') ? 'granted' : 'denied';
+            const marketing = this.has('marketing') ? 'granted' : 'denied';
+            
+            return {
+                analytics_storage: analytics,
+                ad_storage: marketing,
+                ad_user_data: marketing,
+                ad_personalization: marketing,
+                functionality_storage: 'granted',
+                security_storage: 'granted'
+            };
+        }
+
+        /**
+         * Send a Consent Mode command through gtag
+         * @param {string} command - 'default' or 'update'
+         * @param {Object} state - Consent Mode state
+         */
+        gtagConsent(command, state) {
+            window.dataLayer = window.dataLayer || [];
+            if (typeof window.gtag !== 'function') {
+                window.gtag = function() {
+                    window.dataLayer.push(arguments);
+                };
+            }
+            
+            try {
+                window.gtag('consent', command, state);
+            } catch (e) {
+                console.error('Consent Mode error:', e);
+            }
+        }
+
+        /**
+         * Show the consent banner
+         * @param {boolean} showDetails - Open category settings directly
+         */
+        showBanner(showDetails = false) {
+            this.hideBanner();
+            
+            const banner = document.createElement('div');
+            banner.id = this.config.bannerId;
+            banner.className = 'consent-banner';
+            banner.setAttribute('role', 'dialog');
+            banner.setAttribute('aria-live', 'polite');
+            banner.setAttribute('aria-label', t('consent.label'));
+            
+            banner.innerHTML = `
+                <p class="consent-banner__text">${t('consent.text')}</p>
+                <div class="consent-banner__details"${showDetails ? '' : ' hidden'}>
+                    <label class="consent-banner__option">
+                        <input type="checkbox" checked disabled> ${t('consent.necessary')}
+                    </label>
+                    <label class="consent-banner__option">
+                        <input type="checkbox" name="analytics"${this.has('analytics') ? ' checked' : ''}> ${t('consent.analytics')}
+                    </label>
+                    <label class="consent-banner__option">
+                        <input type="checkbox" name="marketing"${this.has('marketing') ? ' checked' : ''}> ${t('consent.marketing')}
+                    </label>
+                </div>
+                <div class="consent-banner__actions">
+                    <button type="button" class="btn btn--primary" data-consent-action="accept">${t('consent.accept')}</button>
+                    <button type="button" class="btn btn--secondary" data-consent-action="reject">${t('consent.reject')}</button>
+                    <button type="button" class="btn btn--secondary" data-consent-action="${showDetails ? 'save' : 'settings'}">${showDetails ? t('consent.save') : t('consent.settings')}</button>
+                </div>
+            `;
+            
+            banner.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-consent-action]');
+                if (!button) return;
+                
+                const action = button.getAttribute('data-consent-action');
+                
+                if (action === 'accept') {
+                    this.acceptAll();
+                } else if (action === 'reject') {
+                    this.rejectAll();
+                } else if (action === 'settings') {
+                    banner.querySelector('.consent-banner__details').hidden = false;
+                    button.setAttribute('data-consent-action', 'save');
+                    button.textContent = t('consent.save');
+                    return;
+                } else if (action === 'save') {
+                    this.update({
+                        analytics: banner.querySelector('[name="analytics"]').checked,
+                        marketing: banner.querySelector('[name="marketing"]').checked
+                    });
+                }
+                
+                this.hideBanner();
+            });
+            
+            document.body.appendChild(banner);
+        }
+
+        /**
+         * Remove the consent banner
+         */
+        hideBanner() {
+            const banner = document.getElementById(this.config.bannerId);
+            if (banner) {
+                banner.remove();
+            }
+        }
+    }
+
+    // Load consent before any tracking script runs
+    try {
+        window.consent = new ConsentManager(CONSENT_CONFIG);
+    } catch (e) {
+        console.error('Consent initialization error:', e);
+    }
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.ConsentManager = ConsentManager;
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * Conversions Mock
+ * Local stand-in for the Meta Conversions API and the GA4 Measurement
+ * Protocol. Checks payloads the way the real endpoints would reject them,
+ * logs accepted events and lists them at GET /events.
+ * 
+ * Node usage (no dependencies):
+ *   node conversions-mock.js
+ *   META_PIXEL_ID=123 META_ACCESS_TOKEN=test META_API_URL=http://127.0.0.1:3100/v19.0 \
+ *   GA4_MEASUREMENT_ID=G-TEST GA4_API_SECRET=test GA4_API_URL=http://127.0.0.1:3100 \
+ *   node server.js
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    const http = require('http');
+
+    // Configuration
+    const MOCK_CONFIG = {
+        port: parseInt(process.env.MOCK_PORT, 10) || 3100,
+        host: '127.0.0.1',
+        maxBodyBytes: 1024 * 1024
+    };
+
+    const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+    /**
+     * Check Meta Conversions API events
+     * @param {Object} body - Request body
+     * @returns {Array<string>} Problems found
+     */
+    function checkMetaEvents(body) {
+        const problems = [];
+
+        if (!body.access_token) problems.push('access_token is required');
+        if (!Array.isArray(body.data) || !body.data.length) {
+            problems.push('data must be a non-empty array');
+            return problems;
+        }
+
+        body.data.forEach((event, index) => {
+            const userData = event.user_data || {};
+            const hashed = ['ph', 'fn', 'ln', 'country', 'external_id'];
+            
+            ['event_name', 'event_time', 'action_source'].forEach(key => {
+                if (!event[key]) problems.push(`data[${index}].${key} is required`);
+            });
+            if (!event.event_id) problems.push(`data[${index}].event_id is required for deduplication`);
+            if (Math.abs(Date.now() / 1000 - event.event_time) > 7 * 24 * 60 * 60) {
+                problems.push(`data[${index}].event_time must be within the last 7 days`);
+            }
+            if (event.action_source === 'website' && (!userData.client_user_agent || !event.event_source_url)) {
+                problems.push(`data[${index}] website events need client_user_agent and event_source_url`);
+            }
+            hashed.forEach(key => {
+                (userData[key] || []).forEach(value => {
+                    if (!SHA256_PATTERN.test(value)) problems.push(`data[${index}].user_data.${key} must be SHA-256 hashed`);
+                });
+            });
+            if (userData.fbc && !/^fb\.\d\.\d+\..+/.test(userData.fbc)) {
+                problems.push(`data[${index}].user_data.fbc is malformed`);
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check GA4 Measurement Protocol events
+     * @param {URL} url - Request URL
+     * @param {Object} body - Request body
+     * @returns {Array<string>} Problems found
+     */
+    function checkGa4Events(url, body) {
+        const problems = [];
+
+        if (!url.searchParams.get('measurement_id')) problems.push('measurement_id is required');
+        if (!url.searchParams.get('api_secret')) problems.push('api_secret is required');
+        if (!body.client_id) problems.push('client_id is required');
+        if (!Array.isArray(body.events) || !body.events.length) {
+            problems.push('events must be a non-empty array');
+            return problems;
+        }
+
+        body.events.forEach((event, index) => {
+            if (!/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(event.name || '')) problems.push(`events[${index}].name is invalid`);
+        });
+
+        const userData = body.user_data || {};
+        (userData.sha256_phone_number || []).forEach(value => {
+            if (!SHA256_PATTERN.test(value)) problems.push('user_data.sha256_phone_number must be SHA-256 hashed');
+        });
+
+        return problems;
+    }
+
+    // Mock server class
+    class ConversionsMock {
+        constructor(config) {
+            this.config = config;
+            this.events = [];
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        }
+
+        /**
+         * Start listening
+         * @returns {Promise} Resolves when listening
+         */
+        listen() {
+            return new Promise(resolve => {
+                this.server.listen(this.config.port, this.config.host, () => {
+                    console.log(`[Conversions Mock] Listening on http://${this.config.host}:${this.config.port}`);
+                    resolve();
+                });
+            });
+        }
+
+        /**
+         * Route a request
+         * @param {http.IncomingMessage} req - Request
+         * @param {http.ServerResponse} res - Response
+         */
+        async handleRequest(req, res) {
+            const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+            
+            if (req.method === 'GET' && url.pathname === '/events') {
+                return this.sendJson(res, 200, { events: this.events });
+            }
+            
+            let body;
+            try {
+                body = await this.readJson(req);
+            } catch (e) {
+                return this.sendJson(res, 400, { error: { message: 'Invalid JSON' } });
+            }
+            
+            // Meta: POST /<version>/<pixel id>/events
+            const meta = req.method === 'POST' && url.pathname.match(/\/([^/]+)\/events$/);
+            if (meta) {
+                const problems = checkMetaEvents(body);
+                if (problems.length) {
+                    console.log(`[Conversions Mock] Meta rejected: ${problems.join('; ')}`);
+                    return this.sendJson(res, 400, { error: { message: problems.join('; '), type: 'OAuthException', code: 100 } });
+                }
+                
+                body.data.forEach(event => this.record('meta', meta[1], event));
+                return this.sendJson(res, 200, { events_received: body.data.length, fbtrace_id: `mock-${Date.now()}` });
+            }
+            
+            // GA4: POST /mp/collect (always 204) or /debug/mp/collect (validation messages)
+            if (req.method === 'POST' && (url.pathname === '/mp/collect' || url.pathname === '/debug/mp/collect')) {
+                const problems = checkGa4Events(url, body);
+                
+                if (url.pathname === '/debug/mp/collect') {
+                    return this.sendJson(res, 200, {
+                        validationMessages: problems.map(problem => ({ description: problem, validationCode: 'VALUE_INVALID' }))
+                    });
+                }
+                
+                if (problems.length) {
+                    console.log(`[Conversions Mock] GA4 dropped: ${problems.join('; ')}`);
+                } else {
+                    body.events.forEach(event => this.record('ga4', url.searchParams.get('measurement_id'), Object.assign({
+                        client_id: body.client_id,
+                        user_data: body.user_data
+                    }, event)));
+                }
+                res.writeHead(204);
+                return res.end();
+            }
+            
+            this.sendJson(res, 404, { error: { message: 'Not found' } });
+        }
+
+        /**
+         * Keep an accepted event
+         * @param {string} api - 'meta' or 'ga4'
+         * @param {string} id - Pixel or measurement id
+         * @param {Object} event - Event
+         */
+        record(api, id, event) {
+            const eventId = event.event_id || (event.params && event.params.event_id);
+            this.events.push({ api: api, id: id, receivedAt: new Date().toISOString(), event: event });
+            console.log(`[Conversions Mock] ${api} ${id}: ${event.event_name || event.name} (event_id ${eventId})`);
+        }
+
+        /**
+         * Read a JSON body
+         * @param {http.IncomingMessage} req - Request
+         * @returns {Promise<Object>} Parsed body
+         */
+        readJson(req) {
+            return new Promise((resolve, reject) => {
+                let size = 0;
+                const chunks = [];
+                
+                req.on('data', chunk => {
+                    size += chunk.length;
+                    if (size > this.config.maxBodyBytes) {
+                        reject(new Error('Payload too large'));
+                        req.destroy();
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                req.on('end', () => {
+                    try {
+                        const text = Buffer.concat(chunks).toString('utf8');
+                        resolve(text ? JSON.parse(text) : {});
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+                req.on('error', reject);
+            });
+        }
+
+        /**
+         * Send a JSON response
+         * @param {http.ServerResponse} res - Response
+         * @param {number} status - HTTP status
+         * @param {Object} body - Response body
+         */
+        sendJson(res, status, body) {
+            res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify(body));
+        }
+    }
+
+    module.exports = {
+        ConversionsMock: ConversionsMock,
+        MOCK_CONFIG: MOCK_CONFIG,
+        checkMetaEvents: checkMetaEvents,
+        checkGa4Events: checkGa4Events
+    };
+
+    if (require.main === module) {
+        new ConversionsMock(MOCK_CONFIG).listen();
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * Form Draft
+ * Saves partially filled lead forms and offers to continue them
+ * on the next visit
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const DRAFT_CONFIG = {
+        formId: 'lead-form',
+        storageKey: 'lead_form_draft',
+        expiryDays: 7,
+        saveDelay: 500, // ms after the last keystroke
+        excludedFields: ['_honeypot', 'recaptcha_response'],
+        promptId: 'form-draft-prompt',
+        consentCategory: 'analytics' // drafts hold contact details, so they need consent
+    };
+
+    /**
+     * Translate a message through the i18n catalog
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message in the visitor's locale
+     */
+    function t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    // Form draft class
+    class FormDraft {
+        constructor(config) {
+            this.config = config;
+            this.form = document.getElementById(config.formId);
+            this.saveTimer = null;
+            this.init();
+        }
+
+        /**
+         * Initialize draft handling
+         */
+        init() {
+            if (!this.form) return;
+            
+            if (this.canStore()) {
+                const draft = this.load();
+                if (draft) {
+                    this.showPrompt(draft);
+                }
+            } else {
+                this.clear();
+            }
+            
+            this.setupEventListeners();
+            this.setupConsentHandling();
+        }
+
+        /**
+         * Check whether drafts may be stored (always without a consent manager)
+         * @returns {boolean} Whether storing is allowed
+         */
+        canStore() {
+            return !window.consent || window.consent.has(this.config.consentCategory);
+        }
+
+        /**
+         * Store or drop the draft when consent changes
+         */
+        setupConsentHandling() {
+            if (!window.consent) return;
+            
+            window.consent.onChange(() => {
+                if (this.canStore()) {
+                    this.save();
+                    return;
+                }
+                
+                this.clear();
+                const prompt = document.getElementById(this.config.promptId);
+                if (prompt) {
+                    prompt.remove();
+                }
+            });
+        }
+
+        /**
+         * Save the draft while the visitor types or changes step
+         */
+        setupEventListeners() {
+            const scheduleSave = () => {
+                clearTimeout(this.saveTimer);
+                this.saveTimer = setTimeout(() => this.save(), this.config.saveDelay);
+            };
+            
+            this.form.addEventListener('input', scheduleSave);
+            this.form.addEventListener('change', scheduleSave);
+            this.form.addEventListener('wizard:stepchange', () => this.save());
+            
+            // Don't lose the last keystrokes when the page closes
+            window.addEventListener('pagehide', () => {
+                if (this.saveTimer) {
+                    clearTimeout(this.saveTimer);
+                    this.save();
+                }
+            });
+        }
+
+        /**
+         * Collect the values worth keeping
+         * @returns {Object} Values by field name
+         */
+        getValues() {
+            const values = {};
+            
+            this.form.querySelectorAll('input[name], select[name], textarea[name]').forEach(field => {
+                if (this.config.excludedFields.indexOf(field.name) !== -1 || field.type === 'hidden') return;
+                if ((field.type === 'checkbox' || field.type === 'radio') && !field.checked) return;
+                
+                if (field.value.trim()) {
+                    values[field.name] = field.value;
+                }
+            });
+            
+            return values;
+        }
+
+        /**
+         * Store the current values and wizard step
+         */
+        save() {
+            this.saveTimer = null;
+            if (!this.canStore()) return;
+            
+            const values = this.getValues();
+            if (!Object.keys(values).length) {
+                this.clear();
+                return;
+            }
+            
+            const draft = {
+                values: values,
+                step: window.formWizard ? window.formWizard.currentStep : null,
+                savedAt: Date.now()
+            };
+            
+            try {
+                localStorage.setItem(this.config.storageKey, JSON.stringify(draft));
+            } catch (e) {
+                console.error('Draft storage error:', e);
+            }
+        }
+
+        /**
+         * Read the stored draft, dropping expired ones
+         * @returns {Object|null} Stored draft
+         */
+        load() {
+            try {
+                const draft = JSON.parse(localStorage.getItem(this.config.storageKey));
+                if (!draft || !draft.values) return null;
+                
+                if (Date.now() - draft.savedAt > this.config.expiryDays * 24 * 60 * 60 * 1000) {
+                    this.clear();
+                    return null;
+                }
+                
+                return draft;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        /**
+         * Remove the stored draft
+         */
+        clear() {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            
+            try {
+                localStorage.removeItem(this.config.storageKey);
+            } catch (e) {
+                console.error('Draft storage error:', e);
+            }
+        }
+
+        /**
+         * Fill the form from a draft and return to its step
+         * @param {Object} draft - Stored draft
+         */
+        restore(draft) {
+            Object.keys(draft.values).forEach(name => {
+                if (this.config.excludedFields.indexOf(name) !== -1) return;
+                
+                // Stored names and values are compared, never put in a selector
+                const field = this.form.elements[name];
+                if (!field) return;
+                
+                const options = field.tagName ? [field] : Array.from(field);
+                if (options[0].type === 'checkbox' || options[0].type === 'radio') {
+                    const option = options.find(item => item.value === String(draft.values[name]));
+                    if (option) option.checked = true;
+                } else {
+                    options[0].value = draft.values[name];
+                }
+            });
+            
+            if (window.formWizard && draft.step) {
+                window.formWizard.resume(draft.step);
+            }
+            
+            this.trackEvent('form_resume', {
+                'event_category': 'Form',
+                'event_label': 'Lead Form',
+                'step': draft.step
+            });
+        }
+
+        /**
+         * Ask whether to continue the saved draft
+         * @param {Object} draft - Stored draft
+         */
+        showPrompt(draft) {
+            const prompt = document.createElement('div');
+            prompt.id = this.config.promptId;
+            prompt.className = 'form-draft';
+            prompt.setAttribute('role', 'status');
+            
+            prompt.innerHTML = `
+                <p class="form-draft__text">${t('draft.text')}</p>
+                <div class="form-draft__actions">
+                    <button type="button" class="btn btn--primary" data-draft-action="resume">${t('draft.resume')}</button>
+                    <button type="button" class="btn btn--secondary" data-draft-action="discard">${t('draft.discard')}</button>
+                </div>
+            `;
+            
+            prompt.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-draft-action]');
+                if (!button) return;
+                
+                if (button.getAttribute('data-draft-action') === 'resume') {
+                    this.restore(draft);
+                } else {
+                    this.clear();
+                }
+                
+                prompt.remove();
+            });
+            
+            this.form.insertBefore(prompt, this.form.firstChild);
+        }
+
+        /**
+         * Send event to all destinations through the tracker bus
+         * @param {string} name - Event name
+         * @param {Object} params - Event parameters
+         */
+        trackEvent(name, params) {
+            if (window.tracker) {
+                window.tracker.track(name, params);
+            }
+        }
+    }
+
+    // Initialize form draft after the wizard
+    document.addEventListener('DOMContentLoaded', function() {
+        try {
+            window.formDraft = new FormDraft(DRAFT_CONFIG);
+        } catch (e) {
+            console.error('Form draft initialization error:', e);
+        }
+    });
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.FormDraft = FormDraft;
+    }
+})();
\ No newline at end of file
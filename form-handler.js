@@ -16,11 +16,25 @@
         rateLimitInterval: 5000, // 5 seconds
         successMessageDuration: 5000, // 5 seconds
         analyticsEnabled: true,
-        recaptchaSiteKey: 'your_recaptcha_site_key_here',
         apiUrl: '/api/submit-lead',
-        honeypotFieldName: '_honeypot'
+        honeypotFieldName: '_honeypot',
+        requestTimeout: 10000, // 10 seconds
+        maxRetries: 3,
+        retryBaseDelay: 1000, // doubled on every retry
+        queueStorageKey: 'lead_queue',
+        queueMaxAgeDays: 7
     };
 
+    /**
+     * Translate a message through the i18n catalog
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message in the visitor's locale
+     */
+    function t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
     // Form handler class
     class FormHandler {
         constructor(config) {
@@ -29,6 +43,7 @@
             this.form = document.getElementById(config.formId);
             this.submitButton = null;
             this.originalButtonText = '';
+            this.flushing = false;
             this.init();
         }
 
@@ -45,31 +60,20 @@
             this.setupRealTimeValidation();
             this.setupPhoneNumberFormatting();
             this.setupHoneypot();
+            this.setupOfflineQueue();
         }
 
         /**
          * Set up event listeners
          */
         setupEventListeners() {
+            // Step navigation is handled by the form wizard
             this.form.addEventListener('submit', this.handleFormSubmit.bind(this));
             
-            // Next button for step 1
-            const nextButton = this.form.querySelector('[data-action="next"]');
-            if (nextButton) {
-                nextButton.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    window.formNavigation.nextStep();
-                });
-            }
-            
-            // Back button
-            const backButton = this.form.querySelector('[data-action="back"]');
-            if (backButton) {
-                backButton.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    window.formNavigation.prevStep();
-                });
-            }
+            // Show current errors in the new language
+            document.addEventListener('locale:change', () => {
+                this.form.querySelectorAll('.border-danger').forEach(field => this.validateField(field));
+            });
         }
 
         /**
@@ -78,16 +82,16 @@
         async handleFormSubmit(e) {
             e.preventDefault();
             
-            // Check rate limiting
-            const currentTime = Date.now();
-            if (currentTime - this.lastSubmitTime < this.config.rateLimitInterval) {
-                this.showFormMessage('يرجى الانتظار قبل إرسال الطلب مرة أخرى', 'error');
+            // Enter on an earlier step moves to the next one
+            if (window.formWizard && !window.formWizard.isLastStep()) {
+                window.formWizard.nextStep();
                 return;
             }
             
-            // Check honeypot
-            if (this.checkHoneypot()) {
-                console.log('Spam detected - honeypot triggered');
+            // Check rate limiting
+            const currentTime = Date.now();
+            if (currentTime - this.lastSubmitTime < this.config.rateLimitInterval) {
+                this.showFormMessage(t('form.throttled'), 'error');
                 return;
             }
             
@@ -98,10 +102,12 @@
             
             // Get submit button
             this.submitButton = this.form.querySelector('button[type="submit"]');
+            // Only the label changes so the translated span stays in place
             if (this.submitButton) {
-                this.originalButtonText = this.submitButton.innerHTML;
+                const label = this.submitButton.querySelector('.btn__text') || this.submitButton;
+                this.originalButtonText = label.textContent;
                 this.submitButton.disabled = true;
-                this.submitButton.innerHTML = 'جاري الإرسال...';
+                label.textContent = t('form.sending');
             }
             
             try {
@@ -110,21 +116,34 @@
                 
                 // Update last submit time
                 this.lastSubmitTime = Date.now();
+                this.form.dispatchEvent(new CustomEvent('form:submitted', { bubbles: true }));
+                
+                // The lead is sent or queued, so the draft is no longer needed
+                if (window.formDraft) {
+                    window.formDraft.clear();
+                }
+                
+                // Qualify the lead for routing and conversion value
+                const qualification = window.leadScoring ? window.leadScoring.score(formData) : null;
                 
                 // Show success message
-                this.showSuccessMessage();
+                this.showSuccessMessage(formData, qualification);
                 
                 // Track conversion
-                this.trackConversion(formData);
+                this.trackConversion(formData, qualification);
                 
             } catch (error) {
                 console.error('Form submission error:', error);
-                this.showFormMessage('حدث خطأ أثناء إرسال الطلب. يرجى المحاولة مرة أخرى.', 'error');
+                
+                if (error.fields) {
+                    this.showFieldErrors(error.fields);
+                }
+                this.showFormMessage(error.userMessage || t('form.error'), 'error');
             } finally {
                 // Restore button state
                 if (this.submitButton) {
                     this.submitButton.disabled = false;
-                    this.submitButton.innerHTML = this.originalButtonText;
+                    (this.submitButton.querySelector('.btn__text') || this.submitButton).textContent = this.originalButtonText;
                 }
             }
         }
@@ -134,27 +153,60 @@
          * @returns {boolean} Whether form is valid
          */
         validateForm() {
-            let isValid = true;
             const currentStep = this.form.querySelector('.form-step.active');
             
             if (!currentStep) return false;
             
-            const requiredFields = currentStep.querySelectorAll('[required]');
+            return this.validateContainer(currentStep);
+        }
+
+        /**
+         * Validate every field inside a container (e.g. a form step)
+         * @param {Element} container - Element holding the fields
+         * @returns {boolean} Whether all fields are valid
+         */
+        validateContainer(container) {
+            let isValid = true;
+            const fields = container.querySelectorAll('input[name], select[name], textarea[name]');
             
-            requiredFields.forEach(field => {
-                if (!field.value.trim()) {
-                    field.classList.add('border-danger');
+            fields.forEach(field => {
+                if (!this.validateField(field)) {
                     isValid = false;
-                    this.addErrorMessage(field, 'هذا الحقل مطلوب');
-                } else {
-                    field.classList.remove('border-danger');
-                    this.removeErrorMessage(field);
                 }
             });
             
             return isValid;
         }
 
+        /**
+         * Validate a field against the shared validation schema
+         * @param {Element} field - The form field
+         * @returns {boolean} Whether field is valid
+         */
+        validateField(field) {
+            if (field.name === this.config.honeypotFieldName || field.type === 'hidden') return true;
+            
+            let result;
+            if (window.formValidation) {
+                result = window.formValidation.validateField(field.name, field.value);
+            } else {
+                const missing = field.hasAttribute('required') && !field.value.trim();
+                result = { valid: !missing, message: missing ? t('form.required') : null };
+            }
+            
+            if (result.valid) {
+                field.classList.remove('border-danger');
+                field.removeAttribute('aria-invalid');
+                this.removeErrorMessage(field);
+            } else {
+                field.classList.add('border-danger');
+                field.setAttribute('aria-invalid', 'true');
+                this.addErrorMessage(field, result.message);
+            }
+            
+            return result.valid;
+        }
+
         /**
          * Add error message to field
          * @param {Element} field - The form field
@@ -172,7 +224,41 @@
                 field.parentNode.insertBefore(errorDiv, field.nextSibling);
             }
             
+            if (errorDiv.textContent === message) return;
             errorDiv.textContent = message;
+            
+            // Let field analytics count each new error once
+            field.dispatchEvent(new CustomEvent('form:fielderror', {
+                bubbles: true,
+                detail: { field: field.name, message: message }
+            }));
+        }
+
+        /**
+         * Show errors returned by the server and go to the first invalid step
+         * @param {Object} errors - Error messages by field name
+         */
+        showFieldErrors(errors) {
+            let firstStep = null;
+            
+            Object.keys(errors).forEach(name => {
+                const field = this.form.querySelector(`[name="${name}"]`);
+                if (!field) return;
+                
+                field.classList.add('border-danger');
+                field.setAttribute('aria-invalid', 'true');
+                this.addErrorMessage(field, errors[name]);
+                
+                const step = field.closest('.form-step[data-step]');
+                const number = step ? parseInt(step.getAttribute('data-step'), 10) : null;
+                if (number !== null && (firstStep === null || number < firstStep)) {
+                    firstStep = number;
+                }
+            });
+            
+            if (window.formWizard && firstStep !== null && firstStep !== window.formWizard.currentStep) {
+                window.formWizard.resume(firstStep);
+            }
         }
 
         /**
@@ -219,23 +305,78 @@
             const formData = new FormData(this.form);
             const data = Object.fromEntries(formData.entries());
             
-            // Remove honeypot and recaptcha fields
+            // Remove honeypot and recaptcha fields; a filled honeypot
+            // is reported through the spam score
+            const honeypot = this.checkHoneypot();
             delete data[this.config.honeypotFieldName];
             delete data.recaptcha_response;
             
+            // Add normalized phone number
+            if (window.formValidation && data.phone) {
+                const phone = window.formValidation.validateField('phone', data.phone);
+                if (phone.valid) {
+                    data.phoneE164 = phone.phone.e164;
+                    data.phoneCountry = phone.phone.country;
+                }
+            }
+            
+            // Add spam score; the server decides what to do with it
+            if (window.spamGuard) {
+                data.spam = await window.spamGuard.evaluate(data, { honeypot: honeypot });
+            } else if (honeypot) {
+                data.spam = { score: 100, flags: ['honeypot'], signals: {} };
+            }
+            
             // Add metadata
+            data.locale = window.i18n ? window.i18n.locale : document.documentElement.lang;
+            if (window.market) {
+                data.market = window.market.code;
+            }
             data.timestamp = new Date().toISOString();
             data.userAgent = navigator.userAgent;
             data.referrer = document.referrer;
             
-            // Add UTM parameters
-            const urlParams = new URLSearchParams(window.location.search);
-            data.utm = {};
-            ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'].forEach(param => {
-                if (urlParams.has(param)) {
-                    data.utm[param] = urlParams.get(param);
-                }
-            });
+            // Add UTM parameters and click IDs from the attribution store,
+            // falling back to the current URL
+            if (window.attribution) {
+                data.utm = window.attribution.getUtm();
+                data.clickIds = window.attribution.getClickIds();
+            } else {
+                const urlParams = new URLSearchParams(window.location.search);
+                data.utm = {};
+                ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'].forEach(param => {
+                    if (urlParams.has(param)) {
+                        data.utm[param] = urlParams.get(param);
+                    }
+                });
+            }
+            
+            // Add consent given at submission time
+            if (window.consent) {
+                data.consent = window.consent.hasDecided() ? window.consent.preferences.categories : null;
+            }
+            
+            // Shared with the pixel conversion so Meta and GA4 can deduplicate
+            // it against the server-side copy, plus the browser ids they match on
+            data.eventId = this.createEventId();
+            data.browserIds = this.getBrowserIds(data.clickIds || {});
+            data.pageUrl = window.location.href.split('#')[0];
+            
+            // Add experiment exposure
+            if (window.abTesting) {
+                data.visitorId = window.abTesting.visitorId;
+                data.experiments = window.abTesting.getExposures();
+            }
+            
+            // Add the personalization rule that set the hero copy
+            if (window.personalization && window.personalization.getMatch()) {
+                data.personalization = window.personalization.getMatch();
+            }
+            
+            // Add session context and attribution
+            if (window.analytics && typeof window.analytics.getLeadContext === 'function') {
+                Object.assign(data, window.analytics.getLeadContext());
+            }
             
             // Add device info
             data.deviceInfo = {
@@ -255,74 +396,384 @@
                 }
             }
             
-            // In production, you would use:
-            /*
-            const response = await fetch(this.config.apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                body: JSON.stringify(data)
-            });
+            const result = await this.sendLead(data);
+            
+            // Server lead id, used to attach a booking to the lead
+            if (result && result.leadId) {
+                data.leadId = result.leadId;
+            }
+            
+            return data;
+        }
+
+        /**
+         * Create a unique conversion event id
+         * @returns {string} Event id
+         */
+        createEventId() {
+            if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+                return window.crypto.randomUUID();
+            }
+            return `${Date.now()}-${Math.random().toString(36).substring(2, 12)}`;
+        }
+
+        /**
+         * Read Meta and GA browser ids from their cookies
+         * @param {Object} clickIds - Click ids of the last touch
+         * @returns {Object} { fbp, fbc, gaClientId }
+         */
+        getBrowserIds(clickIds) {
+            const cookie = name => {
+                const match = document.cookie.match(new RegExp(`(?:^|; )${name}=([^;]*)`));
+                return match ? decodeURIComponent(match[1]) : null;
+            };
+            
+            // _ga is GA1.1.<client id>; _fbc can be rebuilt from fbclid when the pixel hasn't set it
+            const ga = cookie('_ga');
+            const fbc = cookie('_fbc') || (clickIds.fbclid ? `fb.1.${Date.now()}.${clickIds.fbclid}` : null);
+            
+            return {
+                fbp: cookie('_fbp'),
+                fbc: fbc,
+                gaClientId: ga ? ga.split('.').slice(2).join('.') || null : null
+            };
+        }
+
+        /**
+         * Send lead to the API, retrying transient failures and queueing
+         * the lead for later if the network stays unavailable
+         * @param {Object} data - Lead payload
+         * @returns {Promise<Object>} API response (or queue marker)
+         */
+        async sendLead(data) {
+            if (!navigator.onLine) {
+                this.enqueueLead(data);
+                return { queued: true };
+            }
+            
+            try {
+                return await this.postWithRetry(data);
+            } catch (error) {
+                // Client errors (4xx) are final; anything else can be retried later
+                if (!error.retryable) throw error;
+                
+                this.enqueueLead(data);
+                return { queued: true };
+            }
+        }
+
+        /**
+         * POST lead payload with exponential backoff on 5xx and network errors
+         * @param {Object} data - Lead payload (without captcha token)
+         * @returns {Promise<Object>} Parsed API response
+         */
+        async postWithRetry(data) {
+            let attempt = 0;
+            
+            while (true) {
+                try {
+                    return await this.postLead(await this.withCaptcha(data));
+                } catch (error) {
+                    if (!error.retryable || attempt >= this.config.maxRetries) {
+                        throw error;
+                    }
+                    
+                    const delay = this.config.retryBaseDelay * Math.pow(2, attempt);
+                    console.log(`[Form Handler] Retrying submission in ${delay}ms (attempt ${attempt + 1})`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    attempt++;
+                }
+            }
+        }
+
+        /**
+         * Copy of the payload with a fresh captcha token for server-side
+         * verification. Tokens are single-use and expire after about two
+         * minutes, so every attempt gets its own and none is queued.
+         * @param {Object} data - Lead payload
+         * @returns {Promise<Object>} Payload to send
+         */
+        async withCaptcha(data) {
+            const payload = Object.assign({}, data);
+            delete payload.captchaProvider;
+            delete payload.captchaToken;
+            delete payload.captchaError;
+            
+            if (window.captcha) {
+                const captcha = await window.captcha.getToken();
+                payload.captchaProvider = captcha.provider;
+                payload.captchaToken = captcha.token;
+                if (captcha.error) {
+                    payload.captchaError = captcha.error;
+                }
+            }
+            
+            return payload;
+        }
+
+        /**
+         * Single POST request with timeout
+         * @param {Object} data - Lead payload
+         * @returns {Promise<Object>} Parsed API response
+         */
+        async postLead(data) {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timeoutId = controller ? setTimeout(() => controller.abort(), this.config.requestTimeout) : null;
+            
+            let response;
+            try {
+                response = await fetch(this.config.apiUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Content-Language': data.locale || 'ar',
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify(data),
+                    signal: controller ? controller.signal : undefined
+                });
+            } catch (e) {
+                // Network failure or timeout
+                const error = new Error(e.name === 'AbortError' ? 'Request timed out' : 'Network request failed');
+                error.retryable = true;
+                throw error;
+            } finally {
+                if (timeoutId) clearTimeout(timeoutId);
+            }
             
             if (!response.ok) {
-                throw new Error('Network response was not ok');
+                const error = new Error(`Request failed with status ${response.status}`);
+                error.status = response.status;
+                error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+                
+                // Structured errors from the lead server: { error, message, errors }
+                try {
+                    const body = await response.json();
+                    error.code = body.error;
+                    error.userMessage = body.message;
+                    error.fields = body.errors;
+                } catch (e) {
+                    // Not JSON
+                }
+                
+                throw error;
             }
             
-            return response.json();
-            */
+            try {
+                return await response.json();
+            } catch (e) {
+                return {};
+            }
+        }
+
+        /**
+         * Setup offline queue flushing
+         */
+        setupOfflineQueue() {
+            window.addEventListener('online', () => this.flushQueue());
             
-            // Simulate network delay
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            if (navigator.onLine) {
+                this.flushQueue();
+            }
+        }
+
+        /**
+         * Get queued leads from storage
+         * @returns {Array<Object>} Queued leads
+         */
+        getQueue() {
+            try {
+                const queue = JSON.parse(localStorage.getItem(this.config.queueStorageKey) || '[]');
+                if (!Array.isArray(queue)) return [];
+                
+                // Items queued before ids were added
+                return queue.map(item => item.id ? item : Object.assign({ id: `q_${item.queuedAt}` }, item));
+            } catch (e) {
+                return [];
+            }
+        }
+
+        /**
+         * Save queued leads to storage
+         * @param {Array<Object>} queue - Queued leads
+         */
+        saveQueue(queue) {
+            try {
+                if (queue.length) {
+                    localStorage.setItem(this.config.queueStorageKey, JSON.stringify(queue));
+                } else {
+                    localStorage.removeItem(this.config.queueStorageKey);
+                }
+            } catch (e) {
+                console.error('Lead queue storage error:', e);
+            }
+        }
+
+        /**
+         * Add lead to the offline queue
+         * @param {Object} data - Lead payload
+         */
+        enqueueLead(data) {
+            const queue = this.getQueue();
+            queue.push({ id: this.createEventId(), data: data, queuedAt: Date.now() });
+            this.saveQueue(queue);
             
-            return data;
+            console.log('[Form Handler] Lead queued until connection is restored');
         }
 
         /**
-         * Show success message
+         * Resend queued leads, keeping the ones that still fail
          */
-        showSuccessMessage() {
+        async flushQueue() {
+            if (this.flushing) return;
+            
+            const maxAge = this.config.queueMaxAgeDays * 24 * 60 * 60 * 1000;
+            const isFresh = item => Date.now() - item.queuedAt < maxAge;
+            const queue = this.getQueue().filter(isFresh);
+            if (!queue.length) {
+                this.saveQueue(queue);
+                return;
+            }
+            
+            this.flushing = true;
+            const remaining = [];
+            
+            for (const item of queue) {
+                try {
+                    await this.postWithRetry(item.data);
+                    console.log('[Form Handler] Queued lead sent');
+                } catch (error) {
+                    if (error.retryable) {
+                        remaining.push(item);
+                    } else {
+                        console.error('Queued lead rejected:', error);
+                    }
+                }
+            }
+            
+            // Leads queued while flushing are kept as well; expired ones are pruned
+            const queuedMeanwhile = this.getQueue().filter(item => isFresh(item) && !queue.some(sent => sent.id === item.id));
+            this.saveQueue(remaining.concat(queuedMeanwhile));
+            this.flushing = false;
+        }
+
+        /**
+         * Show success message with the follow-up for the lead's tier
+         * @param {Object} formData - Submitted form data
+         * @param {Object} qualification - Result of LeadScoring.score
+         */
+        showSuccessMessage(formData = {}, qualification = null) {
             const formContainer = document.getElementById('form-container');
             if (!formContainer) return;
             
+            const followUp = this.getFollowUp(formData, qualification);
+            
+            // Qualified leads book their session inline when the lead reached the server
+            if (followUp.ctaId === 'success_booking' && formData.leadId && window.booking) {
+                window.booking.render(formContainer, formData);
+                this.showStickyCTA();
+                return;
+            }
+            
             formContainer.innerHTML = `
-                <div class="success-message">
+                <div class="success-message"${qualification ? ` data-lead-tier="${qualification.tier}"` : ''}>
                     <div class="success-message__icon">
                         <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                             <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
                             <polyline points="22 4 12 14.01 9 11.01"></polyline>
                         </svg>
                     </div>
-                    <h3>تم استلام طلبك بنجاح!</h3>
-                    <p>خلال ساعات العمل بنأكد لك بواتساب ونرسل رابط تحديد الموعد.</p>
-                    <p>جهّز أكبر سؤالين عندك عشان نبدأ بقوة. تحتاجنا الحين؟ تواصل مباشرة بواتساب.</p>
-                    <a href="https://wa.me/966500000000?text=مرحباً، أرغب في معرفة المزيد عن خدماتكم" 
-                       class="btn btn--whatsapp" 
+                    <h3>${t('success.title')}</h3>
+                    ${followUp.text.map(text => `<p>${text}</p>`).join('')}
+                    <a href="${followUp.url}" 
+                       class="btn ${followUp.className}" 
                        target="_blank" 
                        rel="noopener"
+                       data-cta-id="${followUp.ctaId}"
                        style="margin-top: 1.5rem; display: inline-block;">
-                        تواصل عبر واتساب
+                        ${followUp.label}
                     </a>
                 </div>
             `;
             
-            // Re-enable sticky CTA
-            const stickyCTA = document.getElementById('sticky-cta');
-            if (stickyCTA) {
-                stickyCTA.style.display = 'flex';
-            }
+            this.showStickyCTA();
+            
+            // Keep routed follow-ups on screen; auto-hide the generic message
+            if (qualification) return;
             
-            // Auto-hide after duration
             setTimeout(() => {
                 if (formContainer && formContainer.querySelector('.success-message')) {
                     formContainer.innerHTML = '';
-                    window.formNavigation.currentStep = 1;
-                    document.querySelector('.form-step[data-step="1"]').classList.add('active');
+                    if (window.formWizard) {
+                        window.formWizard.reset();
+                    }
                 }
             }, this.config.successMessageDuration);
         }
 
+        /**
+         * Re-enable sticky CTA
+         */
+        showStickyCTA() {
+            const stickyCTA = document.getElementById('sticky-cta');
+            if (stickyCTA) {
+                stickyCTA.style.display = 'flex';
+            }
+        }
+
+        /**
+         * Build the post-submit follow-up for a lead tier
+         * @param {Object} formData - Submitted form data
+         * @param {Object} qualification - Result of LeadScoring.score
+         * @returns {Object} { text, url, label, className, ctaId }
+         */
+        getFollowUp(formData, qualification) {
+            const route = qualification && qualification.route ? qualification.route : { action: 'whatsapp', url: 'https://wa.me/966500000000' };
+            
+            if (route.action === 'booking') {
+                const url = new URL(route.url);
+                if (formData.name) url.searchParams.set('name', formData.name);
+                
+                return {
+                    text: [t('success.booking_text')],
+                    url: url.toString(),
+                    label: t('success.booking_cta'),
+                    className: 'btn--primary',
+                    ctaId: 'success_booking'
+                };
+            }
+            
+            if (route.action === 'resource') {
+                return {
+                    text: [t('success.resource_thanks'), t('success.resource_text')],
+                    url: route.url,
+                    label: t('success.resource_cta'),
+                    className: 'btn--secondary',
+                    ctaId: 'success_resource'
+                };
+            }
+            
+            // WhatsApp with the lead's answers prefilled
+            const message = formData.business_name
+                ? t('whatsapp.lead_message', {
+                    name: formData.name,
+                    business: formData.business_name,
+                    budget: window.market
+                        ? window.market.getBudgetLabel(formData.budget, window.i18n ? window.i18n.locale : 'ar')
+                        : formData.budget,
+                    goal: formData.goal
+                })
+                : t('whatsapp.default_message');
+            
+            return {
+                text: [t('success.whatsapp_text'), t('success.whatsapp_next')],
+                url: `${route.url}?text=${encodeURIComponent(message)}`,
+                label: t('success.whatsapp_cta'),
+                className: 'btn--whatsapp',
+                ctaId: 'success_whatsapp'
+            };
+        }
+
         /**
          * Show form message
          * @param {string} message - The message to show
@@ -370,29 +821,23 @@
         /**
          * Track form conversion
          * @param {Object} formData - Form data
+         * @param {Object} qualification - Result of LeadScoring.score
          */
-        trackConversion(formData) {
+        trackConversion(formData, qualification = null) {
             if (!this.config.analyticsEnabled) return;
             
-            // Google Analytics 4
-            if (window.gtag) {
-                gtag('event', 'form_submission', {
+            // Pixels map form_submission to their lead events (e.g. Meta 'Lead')
+            if (window.tracker) {
+                window.tracker.track('form_submission', {
                     'event_category': 'Lead',
                     'event_label': 'Lead Form',
-                    'value': 1,
+                    'event_id': formData.eventId,
+                    'value': qualification ? qualification.score : 1,
+                    'currency': window.market ? window.market.profile.currency : 'SAR',
                     'business_name': formData.business_name,
                     'role': formData.role,
-                    'budget': formData.budget
-                });
-            }
-            
-            // Meta Pixel
-            if (window.fbq) {
-                fbq('track', 'Lead', {
-                    content_name: 'Lead Form',
-                    content_category: 'Form Submission',
-                    value: 1,
-                    currency: 'SAR'
+                    'budget': formData.budget,
+                    'lead_tier': qualification ? qualification.tier : null
                 });
             }
             
@@ -408,19 +853,13 @@
             
             formInputs.forEach(input => {
                 input.addEventListener('blur', () => {
-                    if (input.hasAttribute('required') && !input.value.trim()) {
-                        input.classList.add('border-danger');
-                        this.addErrorMessage(input, 'هذا الحقل مطلوب');
-                    } else {
-                        input.classList.remove('border-danger');
-                        this.removeErrorMessage(input);
-                    }
+                    this.validateField(input);
                 });
                 
+                // Clear errors as soon as the value becomes valid
                 input.addEventListener('input', () => {
-                    if (input.classList.contains('border-danger') && input.value.trim()) {
-                        input.classList.remove('border-danger');
-                        this.removeErrorMessage(input);
+                    if (input.classList.contains('border-danger')) {
+                        this.validateField(input);
                     }
                 });
             });
@@ -433,18 +872,24 @@
             const phoneInput = this.form.querySelector('#phone');
             if (!phoneInput) return;
             
+            // Allow Arabic digits, a leading "+" and spacing while typing
             phoneInput.addEventListener('input', function(e) {
-                let value = e.target.value.replace(/\D/g, '');
-                if (value.length > 0) {
-                    value = '0' + value;
-                }
-                if (value.length > 4) {
-                    value = value.substring(0, 4) + '-' + value.substring(4);
+                const normalize = window.FormValidation ? window.FormValidation.normalizeDigits : value => value;
+                const value = normalize(e.target.value);
+                const cleaned = value.replace(/[^\d+\s-]/g, '').replace(/(?!^)\+/g, '');
+                if (cleaned !== e.target.value) {
+                    e.target.value = cleaned.substring(0, 20);
                 }
-                if (value.length > 8) {
-                    value = value.substring(0, 8) + '-' + value.substring(8, 12);
+            });
+            
+            // Format valid numbers once typing is done
+            phoneInput.addEventListener('blur', function(e) {
+                if (!window.formValidation) return;
+                
+                const result = window.formValidation.validateField('phone', e.target.value);
+                if (result.valid) {
+                    e.target.value = window.FormValidation.formatPhone(result.phone, window.formValidation.defaultCountry);
                 }
-                e.target.value = value.substring(0, 12);
             });
         }
     }
@@ -0,0 +1,319 @@
+/**
+ * Form Wizard
+ * Multi-step navigation for the lead form: step discovery, validation,
+ * conditional steps, progress bar and step change events
+ * 
+ * Conditional steps are declared on the step element:
+ *   data-show-if="role:owner,partner"   show only for these values
+ *   data-skip-if="budget:not-sure"      skip for these values
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const WIZARD_CONFIG = {
+        formId: 'lead-form',
+        stepSelector: '.form-step[data-step]',
+        progressSelector: '.form-progress',
+        activeClass: 'active',
+        stepChangeEvent: 'wizard:stepchange',
+        conditions: {} // step number -> function(values) returning whether to show it
+    };
+
+    /**
+     * Translate a message through the i18n catalog
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message in the visitor's locale
+     */
+    function t(key, params) {
+        return window.i18n ? window.i18n.t(key, params) : key;
+    }
+
+    // Form wizard class
+    class FormWizard {
+        constructor(config) {
+            this.config = config;
+            this.form = document.getElementById(config.formId);
+            this.steps = [];
+            this.currentStep = null;
+            this.history = [];
+            this.init();
+        }
+
+        /**
+         * Initialize wizard
+         */
+        init() {
+            if (!this.form) return;
+            
+            this.steps = Array.from(this.form.querySelectorAll(this.config.stepSelector))
+                .sort((a, b) => this.getStepNumber(a) - this.getStepNumber(b));
+            if (!this.steps.length) return;
+            
+            const active = this.steps.find(step => step.classList.contains(this.config.activeClass));
+            this.currentStep = this.getStepNumber(active || this.steps[0]);
+            this.showStep(this.currentStep);
+            
+            this.setupEventListeners();
+            this.updateProgressBar();
+        }
+
+        /**
+         * Bind next/back buttons
+         */
+        setupEventListeners() {
+            this.form.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (!button || !this.form.contains(button)) return;
+                
+                const action = button.getAttribute('data-action');
+                if (action === 'next') {
+                    e.preventDefault();
+                    this.nextStep();
+                } else if (action === 'back') {
+                    e.preventDefault();
+                    this.prevStep();
+                }
+            });
+            
+            // Conditions may change the number of remaining steps
+            this.form.addEventListener('change', () => this.updateProgressBar());
+            document.addEventListener('locale:change', () => this.updateProgressBar());
+        }
+
+        /**
+         * Get the number of a step element
+         * @param {Element} step - Step element
+         * @returns {number} Step number
+         */
+        getStepNumber(step) {
+            return parseInt(step.getAttribute('data-step'), 10);
+        }
+
+        /**
+         * Get a step element by number
+         * @param {number} number - Step number
+         * @returns {Element|undefined} Step element
+         */
+        getStep(number) {
+            return this.steps.find(step => this.getStepNumber(step) === number);
+        }
+
+        /**
+         * Get current form values
+         * @returns {Object} Values by field name
+         */
+        getValues() {
+            return Object.fromEntries(new FormData(this.form).entries());
+        }
+
+        /**
+         * Check whether a step applies to the current answers
+         * @param {Element} step - Step element
+         * @param {Object} values - Current form values
+         * @returns {boolean} Whether the step is shown
+         */
+        isStepEnabled(step, values) {
+            const condition = this.config.conditions[this.getStepNumber(step)];
+            if (typeof condition === 'function' && !condition(values)) return false;
+            
+            const matches = rule => {
+                const separator = rule.indexOf(':');
+                const field = rule.substring(0, separator).trim();
+                const allowed = rule.substring(separator + 1).split(',').map(value => value.trim());
+                return allowed.indexOf(values[field] || '') !== -1;
+            };
+            
+            const showIf = step.getAttribute('data-show-if');
+            if (showIf && !matches(showIf)) return false;
+            
+            const skipIf = step.getAttribute('data-skip-if');
+            if (skipIf && matches(skipIf)) return false;
+            
+            return true;
+        }
+
+        /**
+         * Get the steps that apply to the current answers
+         * @returns {Array<Element>} Enabled steps in order
+         */
+        getEnabledSteps() {
+            const values = this.getValues();
+            return this.steps.filter(step => this.isStepEnabled(step, values));
+        }
+
+        /**
+         * Check whether the current step is the last one
+         * @returns {boolean} Whether no enabled step follows
+         */
+        isLastStep() {
+            return !this.getEnabledSteps().some(step => this.getStepNumber(step) > this.currentStep);
+        }
+
+        /**
+         * Validate the fields of a step
+         * @param {number} number - Step number
+         * @returns {boolean} Whether the step is valid
+         */
+        validateStep(number) {
+            const step = this.getStep(number);
+            if (!step) return false;
+            
+            // Same schema and error messages as the form handler
+            if (window.formHandler && typeof window.formHandler.validateContainer === 'function') {
+                return window.formHandler.validateContainer(step);
+            }
+            
+            let isValid = true;
+            step.querySelectorAll('input[name], select[name], textarea[name]').forEach(field => {
+                const valid = window.formValidation
+                    ? window.formValidation.validateField(field.name, field.value).valid
+                    : !(field.hasAttribute('required') && !field.value.trim());
+                
+                field.classList.toggle('border-danger', !valid);
+                if (!valid) isValid = false;
+            });
+            
+            return isValid;
+        }
+
+        /**
+         * Go to the next enabled step
+         * @returns {boolean} Whether the step changed
+         */
+        nextStep() {
+            if (!this.validateStep(this.currentStep)) return false;
+            
+            const next = this.getEnabledSteps().find(step => this.getStepNumber(step) > this.currentStep);
+            if (!next) return false;
+            
+            this.history.push(this.currentStep);
+            this.goTo(this.getStepNumber(next), 'forward');
+            return true;
+        }
+
+        /**
+         * Go back to the previously shown step
+         * @returns {boolean} Whether the step changed
+         */
+        prevStep() {
+            if (!this.history.length) return false;
+            
+            this.goTo(this.history.pop(), 'back');
+            return true;
+        }
+
+        /**
+         * Show a step and notify listeners
+         * @param {number} number - Step number
+         * @param {string} direction - 'forward', 'back', 'resume' or 'reset'
+         */
+        goTo(number, direction) {
+            const from = this.currentStep;
+            if (!this.getStep(number)) return;
+            
+            this.currentStep = number;
+            this.showStep(number);
+            this.updateProgressBar();
+            
+            // Scroll to form if needed
+            if (window.innerWidth <= 768) {
+                const formContainer = document.getElementById('form-container');
+                if (formContainer && (direction === 'forward' || direction === 'back')) {
+                    formContainer.scrollIntoView({ behavior: 'smooth' });
+                }
+            }
+            
+            const enabled = this.getEnabledSteps();
+            this.form.dispatchEvent(new CustomEvent(this.config.stepChangeEvent, {
+                bubbles: true,
+                detail: {
+                    from: from,
+                    to: number,
+                    direction: direction,
+                    index: enabled.findIndex(step => this.getStepNumber(step) === number) + 1,
+                    total: enabled.length
+                }
+            }));
+        }
+
+        /**
+         * Toggle step visibility
+         * @param {number} number - Step number to show
+         */
+        showStep(number) {
+            this.steps.forEach(step => {
+                const active = this.getStepNumber(step) === number;
+                step.classList.toggle(this.config.activeClass, active);
+                step.setAttribute('aria-hidden', active ? 'false' : 'true');
+            });
+        }
+
+        /**
+         * Update progress bar
+         */
+        updateProgressBar() {
+            const progress = this.form.querySelector(this.config.progressSelector);
+            if (!progress) return;
+            
+            const enabled = this.getEnabledSteps();
+            const index = Math.max(enabled.findIndex(step => this.getStepNumber(step) === this.currentStep), 0) + 1;
+            const percent = Math.round((index / enabled.length) * 100);
+            
+            const bar = progress.querySelector('.form-progress__bar');
+            if (bar) {
+                bar.style.width = `${percent}%`;
+            }
+            
+            const label = progress.querySelector('.form-progress__label');
+            if (label) {
+                label.textContent = t('form.step', { step: index, total: enabled.length });
+            }
+            
+            progress.setAttribute('aria-valuenow', String(percent));
+        }
+
+        /**
+         * Jump to a step restored from a saved draft
+         * @param {number} number - Step number
+         */
+        resume(number) {
+            const target = this.getStep(number);
+            if (!target || !this.isStepEnabled(target, this.getValues())) return;
+            
+            // Earlier steps stay reachable through the back button
+            this.history = this.getEnabledSteps()
+                .map(step => this.getStepNumber(step))
+                .filter(step => step < number);
+            this.goTo(number, 'resume');
+        }
+
+        /**
+         * Return to the first step
+         */
+        reset() {
+            this.history = [];
+            this.goTo(this.getStepNumber(this.steps[0]), 'reset');
+        }
+    }
+
+    // Initialize form wizard
+    document.addEventListener('DOMContentLoaded', function() {
+        try {
+            window.formWizard = new FormWizard(WIZARD_CONFIG);
+        } catch (e) {
+            console.error('Form wizard initialization error:', e);
+        }
+    });
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.FormWizard = FormWizard;
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,508 @@
+/**
+ * Internationalization
+ * Arabic/English message catalog and locale switcher. Page copy is marked
+ * with data-i18n (text), data-i18n-html (markup) and data-i18n-attr
+ * ("attribute:key;attribute:key"); its Arabic source is the markup itself.
+ * Strings built in JS have both languages here.
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const I18N_CONFIG = {
+        defaultLocale: 'ar',
+        locales: {
+            ar: { dir: 'rtl' },
+            en: { dir: 'ltr' }
+        },
+        storageKey: 'locale',
+        urlParam: 'lang', // e.g. ?lang=en on campaigns for Dubai expats
+        switchSelector: '[data-locale-switch]',
+        changeEvent: 'locale:change'
+    };
+
+    // Message catalog; {name} placeholders are filled by t()
+    const I18N_MESSAGES = {
+        ar: {
+            'locale.switch': 'English',
+            'locale.switch_label': 'Switch to English',
+            'form.throttled': 'يرجى الانتظار قبل إرسال الطلب مرة أخرى',
+            'form.sending': 'جاري الإرسال...',
+            'form.error': 'حدث خطأ أثناء إرسال الطلب. يرجى المحاولة مرة أخرى.',
+            'form.required': 'هذا الحقل مطلوب',
+            'form.step': 'الخطوة {step} من {total}',
+            'success.title': 'تم استلام طلبك بنجاح!',
+            'success.booking_text': 'طلبك مؤهل لجلسة استراتيجية مباشرة. اختر الموعد اللي يناسبك الحين ونأكده لك بواتساب.',
+            'success.booking_cta': 'احجز موعدك الآن',
+            'success.resource_thanks': 'شكراً لك! بنتواصل معك قريباً.',
+            'success.resource_text': 'إلى ذلك الحين، جهّزنا لك دليل خطة النمو في ٩٠ يوم عشان تبدأ بخطوات واضحة.',
+            'success.resource_cta': 'حمّل الدليل المجاني',
+            'success.whatsapp_text': 'خلال ساعات العمل بنأكد لك بواتساب ونرسل رابط تحديد الموعد.',
+            'success.whatsapp_next': 'جهّز أكبر سؤالين عندك عشان نبدأ بقوة. تحتاجنا الحين؟ تواصل مباشرة بواتساب.',
+            'success.whatsapp_cta': 'تواصل عبر واتساب',
+            'whatsapp.lead_message': 'مرحباً، أنا {name} من {business}. أرسلت طلب جلسة (الميزانية: {budget}، الهدف: {goal}) وأبي أكمل معكم.',
+            'whatsapp.default_message': 'مرحباً، أرغب في معرفة المزيد عن خدماتكم',
+            'draft.text': 'عندك طلب ما كمّلته. تبي تكمل من حيث وقفت؟',
+            'draft.resume': 'أكمل الطلب',
+            'draft.discard': 'ابدأ من جديد',
+            'consent.label': 'إعدادات الخصوصية',
+            'consent.text': 'نستخدم ملفات تعريف الارتباط لتحسين تجربتك وقياس أداء إعلاناتنا. تقدر تختار اللي توافق عليه.',
+            'consent.necessary': 'ضرورية (لتشغيل الموقع والنموذج)',
+            'consent.analytics': 'تحليلات (قياس الزيارات وتحسين الصفحة)',
+            'consent.marketing': 'تسويق (بكسلات الإعلانات)',
+            'consent.accept': 'قبول الكل',
+            'consent.reject': 'الضرورية فقط',
+            'consent.save': 'حفظ الاختيارات',
+            'consent.settings': 'الإعدادات',
+            'booking.title': 'احجز جلستك المجانية',
+            'booking.loading': 'جاري تحميل المواعيد المتاحة...',
+            'booking.subtitle': 'اختر الموعد اللي يناسبك ({minutes} دقيقة).',
+            'booking.zone': 'المنطقة الزمنية',
+            'booking.zone_sa': 'توقيت السعودية',
+            'booking.zone_ae': 'توقيت الإمارات',
+            'booking.confirming': 'جاري تأكيد الموعد...',
+            'booking.slots_unavailable': 'ما قدرنا نعرض المواعيد الحين. بنتواصل معك بواتساب لتحديد الموعد.',
+            'booking.failed': 'تعذر تأكيد الموعد. بنتواصل معك بواتساب لتحديد الموعد.',
+            'booking.confirmed': 'تم تأكيد موعدك!',
+            'booking.confirmed_text': 'بنرسل لك تفاصيل الجلسة بواتساب قبل الموعد.',
+            'booking.add_to_calendar': 'أضف الموعد للتقويم',
+            'booking.meeting_title': 'جلسة استراتيجية مع اغربه',
+            'booking.meeting_description': 'جلسة بدون التزام: نحدّد الفرص، ونرسم خطة ٩٠ يوم، ونقترح فكرة حملة جاهزة للتنفيذ.'
+        },
+        en: {
+            'locale.switch': 'العربية',
+            'locale.switch_label': 'التبديل إلى العربية',
+            'form.throttled': 'Please wait a moment before sending another request.',
+            'form.sending': 'Sending...',
+            'form.error': 'Something went wrong while sending your request. Please try again.',
+            'form.required': 'This field is required',
+            'form.step': 'Step {step} of {total}',
+            'success.title': 'We\'ve received your request!',
+            'success.booking_text': 'You qualify for a strategy session right away. Pick a time that suits you now and we\'ll confirm it on WhatsApp.',
+            'success.booking_cta': 'Book your session now',
+            'success.resource_thanks': 'Thank you! We\'ll be in touch soon.',
+            'success.resource_text': 'In the meantime, we\'ve prepared our 90-day growth plan guide so you can start with clear steps.',
+            'success.resource_cta': 'Download the free guide',
+            'success.whatsapp_text': 'During working hours we\'ll confirm on WhatsApp and send you a link to pick a time.',
+            'success.whatsapp_next': 'Prepare your two biggest questions so we can start strong. Need us now? Reach us directly on WhatsApp.',
+            'success.whatsapp_cta': 'Chat on WhatsApp',
+            'whatsapp.lead_message': 'Hi, I\'m {name} from {business}. I sent a session request (budget: {budget}, goal: {goal}) and would like to continue.',
+            'whatsapp.default_message': 'Hi, I\'d like to know more about your services',
+            'draft.text': 'You have an unfinished request. Continue where you left off?',
+            'draft.resume': 'Continue my request',
+            'draft.discard': 'Start over',
+            'consent.label': 'Privacy settings',
+            'consent.text': 'We use cookies to improve your experience and measure our ad performance. Choose what you agree to.',
+            'consent.necessary': 'Necessary (to run the site and the form)',
+            'consent.analytics': 'Analytics (measure visits and improve the page)',
+            'consent.marketing': 'Marketing (ad pixels)',
+            'consent.accept': 'Accept all',
+            'consent.reject': 'Necessary only',
+            'consent.save': 'Save choices',
+            'consent.settings': 'Settings',
+            'booking.title': 'Book your free session',
+            'booking.loading': 'Loading available times...',
+            'booking.subtitle': 'Pick the time that suits you ({minutes} minutes).',
+            'booking.zone': 'Time zone',
+            'booking.zone_sa': 'Saudi Arabia time',
+            'booking.zone_ae': 'UAE time',
+            'booking.confirming': 'Confirming your session...',
+            'booking.slots_unavailable': 'We couldn\'t load available times right now. We\'ll contact you on WhatsApp to schedule.',
+            'booking.failed': 'We couldn\'t confirm the session. We\'ll contact you on WhatsApp to schedule.',
+            'booking.confirmed': 'Your session is booked!',
+            'booking.confirmed_text': 'We\'ll send you the session details on WhatsApp beforehand.',
+            'booking.add_to_calendar': 'Add to calendar',
+            'booking.meeting_title': 'Strategy session with Aghrba',
+            'booking.meeting_description': 'A no-commitment session: we identify the opportunities, map a 90-day plan and propose a campaign idea ready to launch.',
+            
+            // Page copy (Arabic is the markup)
+            'page.title': 'Aghrba - The growth partner that owns the results | Written guarantee',
+            'page.meta_description': 'We grow your sales within 90 days… or we refund our fees. A growth partner committed to results, with a written guarantee in the contract.',
+            'page.skip_link': 'Skip to main content',
+            'page.home_label': 'Back to the home page',
+            'page.nav_label': 'Main menu',
+            'page.nav_who': 'Who is it for?',
+            'page.nav_solution': 'Solution',
+            'page.nav_process': 'Method',
+            'page.nav_guarantee': 'Guarantee',
+            'page.cta_book': 'Book your free session',
+            'page.menu_open': 'Open menu',
+            'page.hero_title': '<span class="hero__title-highlight">We grow your sales within 90 days…</span> or we refund our fees',
+            'page.hero_subtitle': 'For serious business owners who want a real growth partner. Our success is tied to yours, and written into the contract.',
+            'page.hero_cta_primary': 'I want the free strategy session',
+            'page.hero_cta_secondary': 'How does the guarantee work?',
+            'page.trust_1': 'Written guarantee in the contract',
+            'page.trust_2': 'Full transparency in execution',
+            'page.trust_3': 'A step-by-step working method',
+            'page.who_title': 'This partnership is for you if:',
+            'page.who_1': 'You own a business and see marketing as an <strong>investment</strong>, not an expense.',
+            'page.who_2': 'Your monthly ad budget starts at 5,000 SAR.',
+            'page.who_3': 'You want a partner who shares <strong>responsibility for the results</strong> with you.',
+            'page.who_4': 'You\'re ready to commit for 90 days to see measurable results.',
+            'page.who_exclusion': 'We\'re not a fit if you\'re after unrealistic quick fixes or don\'t have a clear budget.',
+            'page.problem_title': 'Does this sound familiar?',
+            'page.problem_text': 'Your service is great and your team works hard… but growth has stalled. You spend on ads, and by the end of the month the numbers haven\'t moved. Competitors are taking market share while you\'re stuck between high costs and unclear returns.',
+            'page.solution_title': 'The answer isn\'t more ads… it\'s a complete growth system',
+            'page.benefit1_title': 'Strategy tied to profit',
+            'page.benefit1_text': 'We dig into your numbers and build a plan that grows <strong>net return</strong>, not just clicks.',
+            'page.benefit2_title': 'Campaigns that bring ready-to-buy customers',
+            'page.benefit2_text': 'We work smartly on the channels that suit your market so inquiries and sales grow.',
+            'page.benefit3_title': 'Content that builds loyalty',
+            'page.benefit3_text': 'Your brand story, told in a way that keeps customers coming back.',
+            'page.team_title': 'Not an agency… a long-term growth partner',
+            'page.team_text': 'Welcome, I\'m Alaaeddine, founder of Aghrba. I watched business owners get hurt by empty promises, so we built a simple principle: <strong>I only succeed if you succeed</strong>. Our guarantee isn\'t a marketing line, it\'s the foundation of our work. Our goal is to turn your vision into real numbers in your account.',
+            'page.team_1': 'You always own the accounts and channels',
+            'page.team_2': 'Clear agreement on goals before launch',
+            'page.team_3': 'Continuous optimization and regular reviews',
+            'page.process_title': 'Aghrba Method™ — your 90-day growth plan',
+            'page.step1_title': 'Discovery and analysis',
+            'page.step1_text': 'We understand your goals, numbers and challenges.',
+            'page.step2_title': 'Building the plan',
+            'page.step2_text': 'We map the path, offers, channels and KPIs.',
+            'page.step3_title': 'Launch and monitoring',
+            'page.step3_text': 'We launch the campaigns and follow the data from day one.',
+            'page.step4_title': 'Daily optimization',
+            'page.step4_text': 'We keep adjusting to raise your return.',
+            'page.step5_title': 'Clear performance summaries',
+            'page.step5_text': 'Focused on results and the metrics that matter, without filler.',
+            'page.guarantee_title': 'The strongest guarantee: 100% of the risk is on us',
+            'page.guarantee_text': 'If we don\'t reach the agreed goal within 90 days, we refund <strong class="bolld">our full management fees</strong>. The clause is written clearly in the contract. We win when you win. Period.',
+            'page.guarantee_1': 'Starts with a 3-month contract, then monthly',
+            'page.guarantee_2': 'You own the accounts',
+            'page.guarantee_3': 'Regular performance summaries and clear communication',
+            'page.comparison_title': 'Why choose a growth partner over a traditional agency?',
+            'page.comparison_label': 'Comparison between Aghrba and traditional agencies',
+            'page.comparison_us': 'Aghrba (growth partner)',
+            'page.comparison_them': 'Traditional execution',
+            'page.comparison_us_1': 'Focused on <strong>business goals</strong>',
+            'page.comparison_them_1': 'Focused on day-to-day tasks',
+            'page.comparison_us_2': '<strong>Written commitment to the result</strong>',
+            'page.comparison_them_2': 'Generic promises',
+            'page.comparison_us_3': 'A clear method',
+            'page.comparison_them_3': 'The same fixed plan for every client',
+            'page.comparison_us_4': '<strong>You own the channels</strong>',
+            'page.comparison_them_4': 'Complicated reports',
+            'page.comparison_us_5': '<strong>Short, direct performance summaries</strong>',
+            'page.comparison_them_5': 'Unclear accountability',
+            'page.why_now_title': 'Why act now?',
+            'page.urgency1_title': 'Growing losses',
+            'page.urgency1_text': 'Every month without a plan = customers who slip away and don\'t come back.',
+            'page.urgency2_title': 'Growing competition',
+            'page.urgency2_text': 'The market is changing fast and competition is getting tougher.',
+            'page.urgency3_title': 'Limited opportunities',
+            'page.urgency3_text': 'Partnership spots are limited so we can protect quality.',
+            'page.why_now_text': 'One step today saves you months of trial and error.',
+            'page.urgency_final': 'This month\'s partnership spots are almost full — book before they close.',
+            'page.form_title': 'Ready to do it right? Get your free growth plan',
+            'page.form_subtitle': 'A no-commitment session: we identify the opportunities, map a 90-day plan and propose a campaign idea ready to launch.',
+            'page.field_name': 'Name *',
+            'page.field_phone': 'Mobile *',
+            'page.field_business_name': 'Business name *',
+            'page.field_role': 'Your role *',
+            'page.role_placeholder': 'Choose your role',
+            'page.role_owner': 'Owner / Founder',
+            'page.role_manager': 'Marketing manager',
+            'page.role_partner': 'Partner',
+            'page.role_other': 'Other',
+            'page.next': 'Next',
+            'page.field_budget': 'Monthly ad budget *',
+            'page.budget_placeholder': 'Choose a budget',
+            'page.budget_1': '5,000 - 10,000 SAR',
+            'page.budget_2': '10,000 - 25,000 SAR',
+            'page.budget_3': 'More than 25,000 SAR',
+            'page.budget_not_sure': 'I\'m not sure',
+            'page.field_goal': 'Main goal *',
+            'page.goal_placeholder': 'Choose a goal',
+            'page.goal_sales': 'Increase sales',
+            'page.goal_leads': 'Generate leads',
+            'page.goal_awareness': 'Build brand awareness',
+            'page.goal_traffic': 'Increase traffic',
+            'page.field_challenge': 'What\'s your biggest challenge right now? *',
+            'page.challenge_placeholder': 'Describe your marketing challenge here...',
+            'page.field_notes': 'Additional notes',
+            'page.notes_placeholder': 'Anything else you\'d like to share',
+            'page.back': 'Back',
+            'page.submit': 'Send my request now',
+            'page.form_security': '🔒 Your data is safe. We never share it with third parties.',
+            'page.faq_title': 'Frequently asked questions',
+            'page.faq1_question': 'What if the result isn\'t achieved?',
+            'page.faq1_answer': 'We refund our management fees. (The ad budget is yours.)',
+            'page.faq2_question': 'How long is the contract?',
+            'page.faq2_answer': 'The first 3 months, then monthly.',
+            'page.faq3_question': 'What budget do I need?',
+            'page.faq3_answer': 'We recommend 5,000 SAR and up.',
+            'page.faq4_question': 'Which platforms?',
+            'page.faq4_answer': 'We choose what fits your market (e.g. Meta, Google, TikTok… depending on the audience).',
+            'page.faq5_question': 'Why don\'t you show a portfolio?',
+            'page.faq5_answer': 'Because <strong>the result we achieve for you</strong> is the real measure, and our guarantee is written into the contract.',
+            'page.footer_logo': 'Aghrba',
+            'page.footer_copyright': 'All rights reserved © Aghrba 2025',
+            'page.privacy_settings': 'Privacy settings',
+            'page.sticky_label': 'Quick actions',
+            'page.whatsapp': 'WhatsApp',
+            'page.whatsapp_href': 'https://wa.me/966500000000?text=Hi%2C%20I%27d%20like%20to%20know%20more%20about%20your%20services'
+        }
+    };
+
+    // Internationalization class
+    class I18n {
+        constructor(config, messages) {
+            this.config = config;
+            this.messages = messages;
+            this.locale = this.detectLocale();
+            this.originals = new Map();
+            this.init();
+        }
+
+        /**
+         * Set document language and translate the page once it is parsed
+         */
+        init() {
+            this.applyDocumentLocale();
+            
+            const ready = () => {
+                this.captureOriginals();
+                this.translatePage();
+                
+                document.querySelectorAll(this.config.switchSelector).forEach(button => {
+                    button.addEventListener('click', () => this.setLocale(this.getNextLocale(), 'switcher'));
+                });
+            };
+            
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', ready);
+            } else {
+                ready();
+            }
+        }
+
+        /**
+         * Pick the locale from the URL, the stored choice or the default
+         * @returns {string} Locale
+         */
+        detectLocale() {
+            const fromUrl = new URLSearchParams(window.location.search).get(this.config.urlParam);
+            if (this.isSupported(fromUrl)) {
+                this.storeLocale(fromUrl);
+                return fromUrl;
+            }
+            
+            try {
+                const stored = localStorage.getItem(this.config.storageKey);
+                if (this.isSupported(stored)) return stored;
+            } catch (e) {
+                // Storage unavailable (private mode)
+            }
+            
+            return this.config.defaultLocale;
+        }
+
+        /**
+         * Check whether a locale is supported
+         * @param {string} locale - Locale
+         * @returns {boolean} Whether it is supported
+         */
+        isSupported(locale) {
+            return !!locale && Object.prototype.hasOwnProperty.call(this.config.locales, locale);
+        }
+
+        /**
+         * Remember the visitor's locale
+         * @param {string} locale - Locale
+         */
+        storeLocale(locale) {
+            try {
+                localStorage.setItem(this.config.storageKey, locale);
+            } catch (e) {
+                console.error('Locale storage error:', e);
+            }
+        }
+
+        /**
+         * Get the locale after the current one (the switcher's target)
+         * @returns {string} Locale
+         */
+        getNextLocale() {
+            const locales = Object.keys(this.config.locales);
+            return locales[(locales.indexOf(this.locale) + 1) % locales.length];
+        }
+
+        /**
+         * Get the text direction of the current locale
+         * @returns {string} 'rtl' or 'ltr'
+         */
+        getDir() {
+            return this.config.locales[this.locale].dir;
+        }
+
+        /**
+         * Translate a message
+         * @param {string} key - Message key
+         * @param {Object} params - Placeholder values
+         * @returns {string} Message in the current locale (default locale as fallback)
+         */
+        t(key, params = {}) {
+            const messages = this.messages[this.locale] || {};
+            const fallback = this.messages[this.config.defaultLocale] || {};
+            const template = messages[key] !== undefined ? messages[key] : (fallback[key] !== undefined ? fallback[key] : key);
+            
+            return template.replace(/\{(\w+)\}/g, (match, name) => {
+                return params[name] !== undefined ? params[name] : match;
+            });
+        }
+
+        /**
+         * Pick the current locale's entry of a { ar, en } value
+         * @param {*} value - Localized object or plain value
+         * @returns {*} Value for the current locale
+         */
+        pick(value) {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+            
+            return value[this.locale] !== undefined ? value[this.locale] : value[this.config.defaultLocale];
+        }
+
+        /**
+         * Check whether the current locale has its own message for a key
+         * @param {string} key - Message key
+         * @returns {boolean} Whether the message exists
+         */
+        has(key) {
+            return !!this.messages[this.locale] && this.messages[this.locale][key] !== undefined;
+        }
+
+        /**
+         * Add or override messages (e.g. market-specific copy) and re-translate
+         * @param {Object} messages - Messages by locale
+         */
+        addMessages(messages) {
+            Object.keys(messages).forEach(locale => {
+                this.messages[locale] = Object.assign({}, this.messages[locale], messages[locale]);
+            });
+            this.translatePage();
+        }
+
+        /**
+         * Switch locale
+         * @param {string} locale - New locale
+         * @param {string} source - What triggered the change (for tracking)
+         */
+        setLocale(locale, source = 'api') {
+            if (!this.isSupported(locale) || locale === this.locale) return;
+            
+            const previous = this.locale;
+            this.locale = locale;
+            this.storeLocale(locale);
+            this.applyDocumentLocale();
+            this.translatePage();
+            
+            document.dispatchEvent(new CustomEvent(this.config.changeEvent, {
+                detail: { locale: locale, previous: previous, dir: this.getDir() }
+            }));
+            
+            this.trackEvent('locale_change', {
+                'event_category': 'Engagement',
+                'event_label': locale,
+                'previous_locale': previous,
+                'source': source
+            });
+        }
+
+        /**
+         * Set lang and dir on the document
+         */
+        applyDocumentLocale() {
+            document.documentElement.lang = this.locale;
+            document.documentElement.dir = this.getDir();
+        }
+
+        /**
+         * Keep the markup copy so the default locale can be restored
+         */
+        captureOriginals() {
+            document.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-attr]').forEach(element => {
+                if (this.originals.has(element)) return;
+                
+                const attributes = {};
+                this.parseAttributeKeys(element).forEach(item => {
+                    attributes[item.name] = element.getAttribute(item.name);
+                });
+                
+                this.originals.set(element, {
+                    text: element.textContent,
+                    html: element.innerHTML,
+                    attributes: attributes
+                });
+            });
+        }
+
+        /**
+         * Parse data-i18n-attr ("attribute:key;attribute:key")
+         * @param {Element} element - Element
+         * @returns {Array<Object>} { name, key }
+         */
+        parseAttributeKeys(element) {
+            return (element.getAttribute('data-i18n-attr') || '').split(';').map(pair => {
+                const parts = pair.split(':');
+                return { name: parts[0].trim(), key: parts.slice(1).join(':').trim() };
+            }).filter(item => item.name && item.key);
+        }
+
+        /**
+         * Translate marked page copy and the locale switchers
+         */
+        translatePage() {
+            this.originals.forEach((original, element) => {
+                const textKey = element.getAttribute('data-i18n');
+                const htmlKey = element.getAttribute('data-i18n-html');
+                
+                if (textKey) {
+                    element.textContent = this.has(textKey) ? this.t(textKey) : original.text;
+                } else if (htmlKey) {
+                    element.innerHTML = this.has(htmlKey) ? this.t(htmlKey) : original.html;
+                }
+                
+                this.parseAttributeKeys(element).forEach(item => {
+                    const value = this.has(item.key) ? this.t(item.key) : original.attributes[item.name];
+                    if (value !== null && value !== undefined) {
+                        element.setAttribute(item.name, value);
+                    }
+                });
+            });
+            
+            document.querySelectorAll(this.config.switchSelector).forEach(button => {
+                button.textContent = this.t('locale.switch');
+                button.setAttribute('lang', this.getNextLocale());
+                button.setAttribute('aria-label', this.t('locale.switch_label'));
+            });
+        }
+
+        /**
+         * Send event to all destinations through the tracker bus
+         * @param {string} name - Event name
+         * @param {Object} params - Event parameters
+         */
+        trackEvent(name, params) {
+            if (window.tracker) {
+                window.tracker.track(name, params);
+            }
+        }
+    }
+
+    // Create immediately so lang/dir are right before other scripts render
+    try {
+        window.i18n = new I18n(I18N_CONFIG, I18N_MESSAGES);
+    } catch (e) {
+        console.error('I18n initialization error:', e);
+    }
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.I18n = I18n;
+    }
+})();
\ No newline at end of file
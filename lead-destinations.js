@@ -0,0 +1,736 @@
+/**
+ * Lead Destinations
+ * Fans stored leads out to signed webhooks, HubSpot, Zoho CRM, Google Sheets,
+ * email notifications and server-side conversions (Meta Conversions API,
+ * GA4 Measurement Protocol). Deliveries are recorded on the lead, retried with
+ * backoff and listed by the lead server's admin endpoint.
+ * 
+ * Node only (used by server.js), configured through environment variables.
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    const crypto = require('crypto');
+    const { MARKET_CONFIG, MARKET_PROFILES, budgetLabel } = require('./market.js');
+
+    /**
+     * Human readable summary for CRM notes and emails
+     * @param {Object} record - Flat lead record
+     * @returns {string} Summary
+     */
+    function summarize(record) {
+        return [
+            `الاسم: ${record.name}`,
+            `الجوال: ${record.phone}`,
+            `النشاط: ${record.business_name}`,
+            `الدور: ${record.role}`,
+            `الميزانية: ${budgetLabel(record.market, record.budget)}`,
+            `الهدف: ${record.goal}`,
+            `اللغة: ${record.locale === 'en' ? 'الإنجليزية' : 'العربية'}`,
+            `السوق: ${record.market.toUpperCase()}`,
+            record.lead_tier ? `التقييم: ${record.lead_tier} (${record.lead_score})` : null,
+            `التحدي: ${record.challenge}`,
+            record.notes ? `ملاحظات: ${record.notes}` : null,
+            `المصدر: ${[record.utm_source, record.utm_medium, record.utm_campaign].filter(Boolean).join(' / ') || 'مباشر'}`,
+            record.variants ? `التجارب: ${record.variants}` : null,
+            `رقم الطلب: ${record.lead_id}`
+        ].filter(Boolean).join('\n');
+    }
+
+    // Configuration
+    // Mappings go from the destination's field name to a key of the flat
+    // lead record (see buildRecord) or a function of the record.
+    const DESTINATIONS_CONFIG = {
+        maxAttempts: 5,
+        retryBaseDelay: 60 * 1000, // 1 minute, doubled after every failure
+        retryInterval: 30 * 1000, // how often due retries are checked
+        timeout: 10000,
+        destinations: {
+            webhook: {
+                enabled: !!process.env.WEBHOOK_URL,
+                url: process.env.WEBHOOK_URL || '',
+                secret: process.env.WEBHOOK_SECRET || '' // HMAC-SHA256 key for X-Lead-Signature
+            },
+            hubspot: {
+                enabled: !!process.env.HUBSPOT_ACCESS_TOKEN,
+                accessToken: process.env.HUBSPOT_ACCESS_TOKEN || '', // private app token
+                mapping: {
+                    firstname: 'name',
+                    phone: 'phone',
+                    company: 'business_name',
+                    jobtitle: 'role',
+                    message: summarize
+                }
+            },
+            zoho: {
+                enabled: !!(process.env.ZOHO_ACCESS_TOKEN || process.env.ZOHO_REFRESH_TOKEN),
+                apiDomain: process.env.ZOHO_API_DOMAIN || 'https://www.zohoapis.com',
+                accountsDomain: process.env.ZOHO_ACCOUNTS_DOMAIN || 'https://accounts.zoho.com',
+                accessToken: process.env.ZOHO_ACCESS_TOKEN || '',
+                refreshToken: process.env.ZOHO_REFRESH_TOKEN || '', // access tokens expire after an hour
+                clientId: process.env.ZOHO_CLIENT_ID || '',
+                clientSecret: process.env.ZOHO_CLIENT_SECRET || '',
+                mapping: {
+                    Last_Name: 'name',
+                    Phone: 'phone',
+                    Company: 'business_name',
+                    Designation: 'role',
+                    Lead_Source: record => record.utm_source || 'Website',
+                    Description: summarize
+                }
+            },
+            sheets: {
+                enabled: !!process.env.SHEETS_WEBHOOK_URL,
+                url: process.env.SHEETS_WEBHOOK_URL || '', // Apps Script web app appending `values` as a row
+                columns: [
+                    'created_at', 'lead_id', 'name', 'phone', 'business_name', 'role', 'budget', 'goal',
+                    'challenge', 'notes', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term',
+                    'utm_content', 'gclid', 'fbclid', 'variants', 'lead_score', 'lead_tier', 'spam_score', 'locale', 'market', 'currency'
+                ]
+            },
+            email: {
+                enabled: !!(process.env.SENDGRID_API_KEY && process.env.LEAD_EMAIL_TO),
+                apiKey: process.env.SENDGRID_API_KEY || '',
+                from: process.env.LEAD_EMAIL_FROM || 'leads@aghrba.com',
+                to: (process.env.LEAD_EMAIL_TO || '').split(',').filter(Boolean)
+            },
+            // Server-side copy of the pixel conversion; the event id sent by
+            // the form lets Meta drop whichever copy arrives second
+            meta: {
+                enabled: !!(process.env.META_PIXEL_ID && process.env.META_ACCESS_TOKEN),
+                apiUrl: process.env.META_API_URL || 'https://graph.facebook.com/v19.0',
+                pixelId: process.env.META_PIXEL_ID || '',
+                accessToken: process.env.META_ACCESS_TOKEN || '',
+                testEventCode: process.env.META_TEST_EVENT_CODE || '', // shows events in Events Manager > Test events
+                consentCategory: 'marketing',
+                eventName: 'Lead' // same as the pixel's form_submission mapping
+            },
+            ga4: {
+                enabled: !!(process.env.GA4_MEASUREMENT_ID && process.env.GA4_API_SECRET),
+                apiUrl: process.env.GA4_API_URL || 'https://www.google-analytics.com',
+                measurementId: process.env.GA4_MEASUREMENT_ID || '',
+                apiSecret: process.env.GA4_API_SECRET || '',
+                debug: process.env.GA4_DEBUG === 'true', // validate through /debug/mp/collect instead of recording
+                consentCategory: 'analytics',
+                // GA4 doesn't deduplicate Measurement Protocol hits against gtag,
+                // so the server copy gets its own name instead of gtag's form_submission
+                eventName: 'form_submission_server'
+            }
+        }
+    };
+
+    /**
+     * SHA-256 hex digest of a normalized value, as Meta and Google expect
+     * for user matching data
+     * @param {string} value - Normalized value
+     * @returns {string|null} Hex digest
+     */
+    function hash(value) {
+        if (!value) return null;
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    /**
+     * Normalize a name for hashing: first word as first name, rest as last name
+     * @param {string} name - Full name
+     * @returns {Object} { first, last }
+     */
+    function splitName(name) {
+        const words = String(name || '').trim().toLowerCase().replace(/[.,'"()-]/g, '').split(/\s+/).filter(Boolean);
+        return { first: words[0] || '', last: words.slice(1).join(' ') };
+    }
+
+    /**
+     * Check the visitor's consent stored with the lead
+     * @param {Object} lead - Stored lead
+     * @param {string} category - Consent category
+     * @returns {boolean} Whether the category was granted
+     */
+    function hasConsent(lead, category) {
+        const consent = lead.context && lead.context.consent;
+        return !!(consent && consent[category]);
+    }
+
+    /**
+     * Flatten a stored lead for field mapping
+     * @param {Object} lead - Stored lead
+     * @returns {Object} Flat record
+     */
+    function buildRecord(lead) {
+        const context = lead.context || {};
+        const utm = context.utm || {};
+        const clickIds = context.clickIds || {};
+        const experiments = context.experiments || {};
+        const market = MARKET_PROFILES[lead.market] ? lead.market : MARKET_CONFIG.defaultMarket;
+
+        return Object.assign({
+            lead_id: lead.id,
+            created_at: lead.createdAt,
+            status: lead.status,
+            locale: lead.locale || 'ar',
+            market: market,
+            currency: MARKET_PROFILES[market].currency,
+            utm_source: utm.utm_source || '',
+            utm_medium: utm.utm_medium || '',
+            utm_campaign: utm.utm_campaign || '',
+            utm_term: utm.utm_term || '',
+            utm_content: utm.utm_content || '',
+            gclid: clickIds.gclid || '',
+            fbclid: clickIds.fbclid || '',
+            variants: Object.keys(experiments)
+                .filter(test => experiments[test].exposed !== false)
+                .map(test => `${test}:${experiments[test].variant}`)
+                .join(', '),
+            spam_score: context.spam ? context.spam.score : 0,
+            lead_score: lead.qualification ? lead.qualification.score : '',
+            lead_tier: lead.qualification ? lead.qualification.tier : ''
+        }, lead.fields);
+    }
+
+    /**
+     * Apply a field mapping to a record
+     * @param {Object} mapping - Destination field -> record key or function
+     * @param {Object} record - Flat lead record
+     * @returns {Object} Mapped fields
+     */
+    function applyMapping(mapping, record) {
+        const mapped = {};
+        Object.keys(mapping).forEach(field => {
+            const source = mapping[field];
+            mapped[field] = typeof source === 'function' ? source(record) : record[source];
+        });
+        return mapped;
+    }
+
+    /**
+     * HTTP request with timeout; failures carry status and retryable flags
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<Object>} Parsed JSON response (or {})
+     */
+    async function request(url, options, timeout) {
+        let response;
+        try {
+            response = await fetch(url, Object.assign({ signal: AbortSignal.timeout(timeout) }, options));
+        } catch (e) {
+            const error = new Error(e.name === 'TimeoutError' ? 'Request timed out' : `Network request failed: ${e.message}`);
+            error.retryable = true;
+            throw error;
+        }
+
+        const text = await response.text();
+        if (!response.ok) {
+            const error = new Error(`Request failed with status ${response.status}: ${text.substring(0, 300)}`);
+            error.status = response.status;
+            error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
+        }
+
+        try {
+            return text ? JSON.parse(text) : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Generic webhook signed with HMAC-SHA256
+    class WebhookDestination {
+        constructor(config, timeout) {
+            this.name = 'webhook';
+            this.config = config;
+            this.timeout = timeout;
+        }
+
+        async send(record, lead) {
+            const body = JSON.stringify({ event: 'lead.created', lead: record, context: lead.context });
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const headers = { 'Content-Type': 'application/json', 'X-Lead-Timestamp': timestamp };
+            
+            // Receivers recompute HMAC(secret, `${timestamp}.${body}`)
+            if (this.config.secret) {
+                const signature = crypto.createHmac('sha256', this.config.secret).update(`${timestamp}.${body}`).digest('hex');
+                headers['X-Lead-Signature'] = `sha256=${signature}`;
+            }
+            
+            await request(this.config.url, { method: 'POST', headers: headers, body: body }, this.timeout);
+        }
+    }
+
+    // HubSpot contact
+    class HubSpotDestination {
+        constructor(config, timeout) {
+            this.name = 'hubspot';
+            this.config = config;
+            this.timeout = timeout;
+        }
+
+        async send(record) {
+            try {
+                await request('https://api.hubapi.com/crm/v3/objects/contacts', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${this.config.accessToken}`
+                    },
+                    body: JSON.stringify({ properties: applyMapping(this.config.mapping, record) })
+                }, this.timeout);
+            } catch (error) {
+                // Contact already exists: nothing left to deliver
+                if (error.status !== 409) throw error;
+            }
+        }
+    }
+
+    // Zoho CRM lead
+    class ZohoDestination {
+        constructor(config, timeout) {
+            this.name = 'zoho';
+            this.config = config;
+            this.timeout = timeout;
+            this.accessToken = config.accessToken;
+            this.tokenExpiresAt = config.refreshToken ? 0 : Infinity;
+        }
+
+        /**
+         * Get a valid access token, refreshing it when needed
+         * @returns {Promise<string>} Access token
+         */
+        async getAccessToken() {
+            if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+                return this.accessToken;
+            }
+            
+            const params = new URLSearchParams({
+                refresh_token: this.config.refreshToken,
+                client_id: this.config.clientId,
+                client_secret: this.config.clientSecret,
+                grant_type: 'refresh_token'
+            });
+            const result = await request(`${this.config.accountsDomain}/oauth/v2/token`, { method: 'POST', body: params }, this.timeout);
+            if (!result.access_token) {
+                throw new Error(`Zoho token refresh failed: ${result.error || 'no access token'}`);
+            }
+            
+            this.accessToken = result.access_token;
+            this.tokenExpiresAt = Date.now() + ((result.expires_in || 3600) - 60) * 1000;
+            return this.accessToken;
+        }
+
+        async send(record) {
+            const token = await this.getAccessToken();
+            
+            try {
+                await request(`${this.config.apiDomain}/crm/v6/Leads`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Zoho-oauthtoken ${token}`
+                    },
+                    body: JSON.stringify({ data: [applyMapping(this.config.mapping, record)] })
+                }, this.timeout);
+            } catch (error) {
+                // Expired token: refresh on the next attempt
+                if (error.status === 401 && this.config.refreshToken) {
+                    this.tokenExpiresAt = 0;
+                    error.retryable = true;
+                }
+                throw error;
+            }
+        }
+    }
+
+    // Google Sheets row through an Apps Script web app
+    class SheetsDestination {
+        constructor(config, timeout) {
+            this.name = 'sheets';
+            this.config = config;
+            this.timeout = timeout;
+        }
+
+        async send(record) {
+            const values = this.config.columns.map(column => record[column] === undefined ? '' : record[column]);
+            
+            await request(this.config.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ columns: this.config.columns, values: values })
+            }, this.timeout);
+        }
+    }
+
+    // Email notification through SendGrid
+    class EmailDestination {
+        constructor(config, timeout) {
+            this.name = 'email';
+            this.config = config;
+            this.timeout = timeout;
+        }
+
+        async send(record) {
+            await request('https://api.sendgrid.com/v3/mail/send', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.config.apiKey}`
+                },
+                body: JSON.stringify({
+                    personalizations: [{ to: this.config.to.map(email => ({ email: email })) }],
+                    from: { email: this.config.from },
+                    subject: `طلب جديد (${record.lead_tier}): ${record.business_name} - ${budgetLabel(record.market, record.budget)}`,
+                    content: [{ type: 'text/plain', value: summarize(record) }]
+                })
+            }, this.timeout);
+        }
+    }
+
+    // Meta Conversions API
+    class MetaConversionsDestination {
+        constructor(config, timeout) {
+            this.name = 'meta';
+            this.config = config;
+            this.timeout = timeout;
+        }
+
+        accepts(lead) {
+            return hasConsent(lead, this.config.consentCategory);
+        }
+
+        async send(record, lead) {
+            const context = lead.context || {};
+            const browserIds = context.browserIds || {};
+            const name = splitName(record.name);
+            
+            const userData = {
+                ph: [hash(record.phone.replace(/\D/g, ''))],
+                fn: name.first ? [hash(name.first)] : undefined,
+                ln: name.last ? [hash(name.last)] : undefined,
+                country: context.phoneCountry ? [hash(context.phoneCountry.toLowerCase())] : undefined,
+                external_id: [hash(record.lead_id)],
+                client_ip_address: context.clientIp || undefined,
+                client_user_agent: context.userAgent || undefined,
+                fbp: browserIds.fbp || undefined,
+                fbc: browserIds.fbc || undefined
+            };
+            
+            const body = {
+                data: [{
+                    event_name: this.config.eventName,
+                    event_time: Math.floor(new Date(record.created_at).getTime() / 1000),
+                    event_id: context.eventId || record.lead_id,
+                    event_source_url: context.pageUrl || undefined,
+                    action_source: 'website',
+                    user_data: userData,
+                    custom_data: {
+                        value: record.lead_score || 0,
+                        currency: record.currency,
+                        lead_tier: record.lead_tier || undefined
+                    }
+                }],
+                access_token: this.config.accessToken
+            };
+            if (this.config.testEventCode) {
+                body.test_event_code = this.config.testEventCode;
+            }
+            
+            await request(`${this.config.apiUrl}/${this.config.pixelId}/events`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            }, this.timeout);
+        }
+    }
+
+    // GA4 Measurement Protocol
+    class GA4MeasurementDestination {
+        constructor(config, timeout) {
+            this.name = 'ga4';
+            this.config = config;
+            this.timeout = timeout;
+        }
+
+        accepts(lead) {
+            return hasConsent(lead, this.config.consentCategory);
+        }
+
+        /**
+         * GA client id from the _ga cookie, or a stable one derived from the lead
+         * @param {Object} record - Flat lead record
+         * @param {Object} browserIds - Browser ids sent with the lead
+         * @returns {string} Client id
+         */
+        getClientId(record, browserIds) {
+            if (browserIds.gaClientId) return browserIds.gaClientId;
+            
+            const random = parseInt(hash(record.lead_id).substring(0, 8), 16);
+            return `${random}.${Math.floor(new Date(record.created_at).getTime() / 1000)}`;
+        }
+
+        async send(record, lead) {
+            const context = lead.context || {};
+            const name = splitName(record.name);
+            const address = {
+                sha256_first_name: hash(name.first) || undefined,
+                sha256_last_name: hash(name.last) || undefined,
+                country: context.phoneCountry || undefined
+            };
+            
+            const body = {
+                client_id: this.getClientId(record, context.browserIds || {}),
+                timestamp_micros: new Date(record.created_at).getTime() * 1000,
+                user_data: {
+                    sha256_phone_number: [hash(record.phone)],
+                    address: [address]
+                },
+                events: [{
+                    name: this.config.eventName,
+                    params: {
+                        event_id: context.eventId || record.lead_id,
+                        value: record.lead_score || 0,
+                        currency: record.currency,
+                        lead_tier: record.lead_tier || undefined,
+                        session_id: context.sessionId || undefined,
+                        engagement_time_msec: 1
+                    }
+                }]
+            };
+            
+            const params = new URLSearchParams({
+                measurement_id: this.config.measurementId,
+                api_secret: this.config.apiSecret
+            });
+            const result = await request(`${this.config.apiUrl}/${this.config.debug ? 'debug/' : ''}mp/collect?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            }, this.timeout);
+            
+            // The collect endpoint always answers 204; only the debug one reports problems
+            const messages = result.validationMessages || [];
+            if (messages.length) {
+                const error = new Error(`GA4 validation failed: ${messages.map(item => item.description).join('; ')}`);
+                error.retryable = false;
+                throw error;
+            }
+        }
+    }
+
+    // Delivery of stored leads to every enabled destination
+    class LeadDispatcher {
+        constructor(config, store) {
+            this.config = config;
+            this.store = store;
+            this.destinations = [];
+            this.retryTimer = null;
+            this.retrying = false;
+            this.inFlight = new Set();
+            this.init();
+        }
+
+        /**
+         * Create the enabled destinations
+         */
+        init() {
+            const builtIn = {
+                webhook: WebhookDestination,
+                hubspot: HubSpotDestination,
+                zoho: ZohoDestination,
+                sheets: SheetsDestination,
+                email: EmailDestination,
+                meta: MetaConversionsDestination,
+                ga4: GA4MeasurementDestination
+            };
+            
+            Object.keys(builtIn).forEach(key => {
+                const destination = this.config.destinations[key];
+                if (destination && destination.enabled) {
+                    this.register(new builtIn[key](destination, this.config.timeout));
+                }
+            });
+        }
+
+        /**
+         * Register a destination
+         * @param {Object} destination - Object with name, async send(record, lead)
+         *   and optionally accepts(lead) to skip leads (e.g. without consent)
+         */
+        register(destination) {
+            if (!destination || typeof destination.send !== 'function') {
+                console.error('Invalid lead destination:', destination);
+                return;
+            }
+            
+            this.destinations.push(destination);
+        }
+
+        /**
+         * Start retrying due deliveries, including those interrupted by a restart
+         */
+        start() {
+            this.retryDue();
+            this.retryTimer = setInterval(() => this.retryDue(), this.config.retryInterval);
+            this.retryTimer.unref();
+        }
+
+        /**
+         * Stop the retry timer
+         */
+        stop() {
+            clearInterval(this.retryTimer);
+            this.retryTimer = null;
+        }
+
+        /**
+         * Deliver a new lead to every destination
+         * @param {Object} lead - Stored lead
+         * @returns {Promise} Resolves when every first attempt is done
+         */
+        async dispatch(lead) {
+            const destinations = this.destinations.filter(destination => {
+                return typeof destination.accepts !== 'function' || destination.accepts(lead);
+            });
+            if (!destinations.length) return;
+            
+            lead.deliveries = lead.deliveries || {};
+            destinations.forEach(destination => {
+                lead.deliveries[destination.name] = { status: 'pending', attempts: 0 };
+            });
+            await this.store.save();
+            
+            await Promise.all(destinations.map(destination => this.attempt(lead, destination)));
+            await this.store.save();
+        }
+
+        /**
+         * Try one delivery and record the outcome on the lead
+         * @param {Object} lead - Stored lead
+         * @param {Object} destination - Destination
+         */
+        async attempt(lead, destination) {
+            const key = `${lead.id}:${destination.name}`;
+            if (this.inFlight.has(key)) return;
+            this.inFlight.add(key);
+            
+            const delivery = lead.deliveries[destination.name];
+            delivery.attempts++;
+            delivery.lastAttemptAt = new Date().toISOString();
+            
+            try {
+                await destination.send(buildRecord(lead), lead);
+                
+                delivery.status = 'delivered';
+                delivery.deliveredAt = delivery.lastAttemptAt;
+                delete delivery.lastError;
+                delete delivery.nextAttemptAt;
+            } catch (error) {
+                delivery.lastError = error.message;
+                
+                if (error.retryable !== false && delivery.attempts < this.config.maxAttempts) {
+                    const delay = this.config.retryBaseDelay * Math.pow(2, delivery.attempts - 1);
+                    delivery.status = 'retrying';
+                    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                } else {
+                    delivery.status = 'failed';
+                    delete delivery.nextAttemptAt;
+                }
+                
+                console.error(`[Lead Dispatcher] ${destination.name} delivery of ${lead.id} ${delivery.status}: ${error.message}`);
+            } finally {
+                this.inFlight.delete(key);
+            }
+        }
+
+        /**
+         * Retry deliveries whose backoff has elapsed
+         * @returns {Promise} Resolves when due retries are done
+         */
+        async retryDue() {
+            if (this.retrying) return;
+            this.retrying = true;
+            
+            try {
+                const now = Date.now();
+                const due = [];
+                
+                this.store.leads.forEach(lead => {
+                    this.destinations.forEach(destination => {
+                        const delivery = lead.deliveries && lead.deliveries[destination.name];
+                        if (!delivery) return;
+                        
+                        if (delivery.status === 'pending' ||
+                            (delivery.status === 'retrying' && new Date(delivery.nextAttemptAt).getTime() <= now)) {
+                            due.push(this.attempt(lead, destination));
+                        }
+                    });
+                });
+                
+                if (due.length) {
+                    await Promise.all(due);
+                    await this.store.save();
+                }
+            } catch (e) {
+                console.error('[Lead Dispatcher] Retry error:', e);
+            } finally {
+                this.retrying = false;
+            }
+        }
+
+        /**
+         * Queue a failed delivery for another attempt
+         * @param {string} leadId - Lead ID
+         * @param {string} name - Destination name
+         * @returns {Promise<boolean>} Whether the delivery was found
+         */
+        async retry(leadId, name) {
+            const lead = this.store.leads.find(item => item.id === leadId);
+            const delivery = lead && lead.deliveries && lead.deliveries[name];
+            if (!delivery || delivery.status === 'delivered') return false;
+            
+            delivery.status = 'retrying';
+            delivery.attempts = 0;
+            delivery.nextAttemptAt = new Date().toISOString();
+            await this.store.save();
+            
+            this.retryDue();
+            return true;
+        }
+
+        /**
+         * List deliveries that are not delivered yet
+         * @returns {Array<Object>} { leadId, createdAt, destination, ...delivery }
+         */
+        getUndelivered() {
+            const undelivered = [];
+            
+            this.store.leads.forEach(lead => {
+                Object.keys(lead.deliveries || {}).forEach(name => {
+                    const delivery = lead.deliveries[name];
+                    if (delivery.status !== 'delivered') {
+                        undelivered.push(Object.assign({ leadId: lead.id, createdAt: lead.createdAt, destination: name }, delivery));
+                    }
+                });
+            });
+            
+            return undelivered;
+        }
+    }
+
+    module.exports = {
+        LeadDispatcher: LeadDispatcher,
+        DESTINATIONS_CONFIG: DESTINATIONS_CONFIG,
+        WebhookDestination: WebhookDestination,
+        HubSpotDestination: HubSpotDestination,
+        ZohoDestination: ZohoDestination,
+        SheetsDestination: SheetsDestination,
+        EmailDestination: EmailDestination,
+        MetaConversionsDestination: MetaConversionsDestination,
+        GA4MeasurementDestination: GA4MeasurementDestination,
+        buildRecord: buildRecord,
+        applyMapping: applyMapping
+    };
+})();
\ No newline at end of file
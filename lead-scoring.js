@@ -0,0 +1,84 @@
+/**
+ * Lead Scoring
+ * Qualifies leads from budget, role and goal and picks the follow-up path
+ * shown after submission. Shared by the form handler and the lead server.
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    // Points per answer; a lead's tier is the first one whose minimum it reaches
+    const LEAD_SCORING_CONFIG = {
+        weights: {
+            budget: { '5000-10000': 20, '10000-25000': 35, '25000+': 50, 'not-sure': 0 },
+            role: { owner: 30, partner: 25, manager: 20, other: 5 },
+            goal: { sales: 20, leads: 20, traffic: 10, awareness: 5 }
+        },
+        tiers: [
+            { name: 'hot', minScore: 55 },
+            { name: 'warm', minScore: 35 },
+            { name: 'cold', minScore: 0 }
+        ],
+        // Follow-up shown after submission, per tier
+        routes: {
+            hot: {
+                action: 'booking',
+                url: 'https://calendly.com/aghrba/strategy-session'
+            },
+            warm: {
+                action: 'whatsapp',
+                url: 'https://wa.me/966500000000'
+            },
+            cold: {
+                action: 'resource',
+                url: 'https://aghrba.com/guides/90-day-growth-plan'
+            }
+        }
+    };
+
+    // Lead scoring class
+    class LeadScoring {
+        constructor(config) {
+            this.config = config;
+        }
+
+        /**
+         * Score a lead
+         * @param {Object} fields - Lead fields (budget, role, goal)
+         * @returns {Object} { score, tier, route }
+         */
+        score(fields) {
+            const weights = this.config.weights;
+            const score = Object.keys(weights).reduce((total, field) => {
+                return total + (weights[field][fields[field]] || 0);
+            }, 0);
+            
+            const tier = this.config.tiers.find(item => score >= item.minScore) || this.config.tiers[this.config.tiers.length - 1];
+            
+            return {
+                score: score,
+                tier: tier.name,
+                route: this.config.routes[tier.name] || null
+            };
+        }
+    }
+
+    // Node (lead intake server)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            LeadScoring: LeadScoring,
+            LEAD_SCORING_CONFIG: LEAD_SCORING_CONFIG
+        };
+    }
+
+    // Browser: used by the form handler after submission
+    if (typeof window !== 'undefined') {
+        window.leadScoring = new LeadScoring(LEAD_SCORING_CONFIG);
+        window.LeadScoring = LeadScoring;
+    }
+})();
\ No newline at end of file
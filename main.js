@@ -21,7 +21,6 @@
             this.setupScrollAnimations();
             this.setupSmoothScrolling();
             this.setupStickyCTA();
-            this.setupFormNavigation();
             this.setupAccessibility();
             this.setupPerformanceMonitoring();
         }
@@ -196,95 +195,6 @@
             }
         }
 
-        /**
-         * Set up form navigation
-         */
-        setupFormNavigation() {
-            window.formNavigation = {
-                currentStep: 1,
-                maxSteps: 2,
-                
-                nextStep() {
-                    const current = document.querySelector(`.form-step[data-step="${this.currentStep}"]`);
-                    const next = document.querySelector(`.form-step[data-step="${this.currentStep + 1}"]`);
-                    
-                    if (current && next) {
-                        // Validate current step
-                        if (this.validateStep(this.currentStep)) {
-                            current.classList.remove('active');
-                            next.classList.add('active');
-                            this.currentStep++;
-                            this.updateProgressBar();
-                            
-                            // Scroll to form if needed
-                            if (window.innerWidth <= 768) {
-                                const formContainer = document.getElementById('form-container');
-                                if (formContainer) {
-                                    formContainer.scrollIntoView({ behavior: 'smooth' });
-                                }
-                            }
-                        }
-                    }
-                },
-                
-                prevStep() {
-                    const current = document.querySelector(`.form-step[data-step="${this.currentStep}"]`);
-                    const prev = document.querySelector(`.form-step[data-step="${this.currentStep - 1}"]`);
-                    
-                    if (current && prev) {
-                        current.classList.remove('active');
-                        prev.classList.add('active');
-                        this.currentStep--;
-                        this.updateProgressBar();
-                    }
-                },
-                
-                validateStep(step) {
-                    const stepElement = document.querySelector(`.form-step[data-step="${step}"]`);
-                    if (!stepElement) return false;
-                    
-                    let isValid = true;
-                    const requiredFields = stepElement.querySelectorAll('[required]');
-                    
-                    requiredFields.forEach(field => {
-                        if (!field.value.trim()) {
-                            field.classList.add('border-danger');
-                            isValid = false;
-                        } else {
-                            field.classList.remove('border-danger');
-                        }
-                    });
-                    
-                    return isValid;
-                },
-                
-                updateProgressBar() {
-                    const progress = (this.currentStep / this.maxSteps) * 100;
-                    
-                    // Update any progress indicators if needed
-                    console.log(`Form progress: ${progress}%`);
-                }
-            };
-            
-            // Initialize form navigation buttons
-            const nextButtons = document.querySelectorAll('[data-action="next"]');
-            const backButtons = document.querySelectorAll('[data-action="back"]');
-            
-            nextButtons.forEach(button => {
-                button.addEventListener('click', function(e) {
-                    e.preventDefault();
-                    window.formNavigation.nextStep();
-                });
-            });
-            
-            backButtons.forEach(button => {
-                button.addEventListener('click', function(e) {
-                    e.preventDefault();
-                    window.formNavigation.prevStep();
-                });
-            });
-        }
-
         /**
          * Set up accessibility features
          */
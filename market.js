@@ -0,0 +1,277 @@
+/**
+ * Market Profiles
+ * One landing page for the Saudi, UAE, Kuwaiti and Qatari campaigns: the
+ * market (from the URL path, ?market= or the visitor's time zone) sets the
+ * currency, the default phone country, the budget options, the budget copy
+ * and the currency reported to pixels. Shared with the lead intake server.
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const MARKET_CONFIG = {
+        defaultMarket: 'sa',
+        urlParam: 'market', // e.g. ?market=kw when the campaign can't use a /kw path
+        timeZones: {
+            'Asia/Riyadh': 'sa',
+            'Asia/Dubai': 'ae',
+            'Asia/Kuwait': 'kw',
+            'Asia/Qatar': 'qa'
+        }
+    };
+
+    // Budget option values are the same in every market (lead scoring and
+    // the validation schema use them); only the amounts shown change
+    const MARKET_PROFILES = {
+        sa: {
+            country: 'SA',
+            currency: 'SAR',
+            currencyLabel: { ar: 'ريال', en: 'SAR' },
+            budgets: { '5000-10000': [5000, 10000], '10000-25000': [10000, 25000], '25000+': [25000] }
+        },
+        ae: {
+            country: 'AE',
+            currency: 'AED',
+            currencyLabel: { ar: 'درهم', en: 'AED' },
+            budgets: { '5000-10000': [5000, 10000], '10000-25000': [10000, 25000], '25000+': [25000] }
+        },
+        kw: {
+            country: 'KW',
+            currency: 'KWD',
+            currencyLabel: { ar: 'دينار', en: 'KWD' },
+            budgets: { '5000-10000': [400, 800], '10000-25000': [800, 2000], '25000+': [2000] }
+        },
+        qa: {
+            country: 'QA',
+            currency: 'QAR',
+            currencyLabel: { ar: 'ريال قطري', en: 'QAR' },
+            budgets: { '5000-10000': [5000, 10000], '10000-25000': [10000, 25000], '25000+': [25000] }
+        }
+    };
+
+    // Page copy that mentions amounts; keys are the markup's data-i18n keys
+    const MARKET_MESSAGES = {
+        ar: {
+            'page.who_2': 'ميزانيتك الإعلانية تبدأ من {min} {currency} شهرياً.',
+            'page.budget_1': '{from} - {to} {currency}',
+            'page.budget_2': '{from} - {to} {currency}',
+            'page.budget_3': 'أكثر من {from} {currency}',
+            'page.faq3_answer': 'نوصّي من {min} {currency} وفوق.'
+        },
+        en: {
+            'page.who_2': 'Your monthly ad budget starts at {min} {currency}.',
+            'page.budget_1': '{from} - {to} {currency}',
+            'page.budget_2': '{from} - {to} {currency}',
+            'page.budget_3': 'More than {from} {currency}',
+            'page.faq3_answer': 'We recommend {min} {currency} and up.'
+        }
+    };
+
+    // Catalog keys of the #budget options by option value
+    const BUDGET_KEYS = {
+        '5000-10000': 'page.budget_1',
+        '10000-25000': 'page.budget_2',
+        '25000+': 'page.budget_3'
+    };
+
+    /**
+     * Check whether a market code is known
+     * @param {string} code - Market code
+     * @returns {boolean} Whether it is known
+     */
+    function isMarket(code) {
+        return !!code && Object.prototype.hasOwnProperty.call(MARKET_PROFILES, code);
+    }
+
+    /**
+     * Read the market from the first path segment (/sa, /ae/, /kw/index.html)
+     * @param {string} pathname - URL path
+     * @returns {string|null} Market code
+     */
+    function marketFromPath(pathname) {
+        const segment = (pathname || '').split('/').filter(Boolean)[0];
+        return segment && isMarket(segment.toLowerCase()) ? segment.toLowerCase() : null;
+    }
+
+    /**
+     * Fill a message template
+     * @param {string} template - Template with {name} placeholders
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message
+     */
+    function fill(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+    }
+
+    /**
+     * Build the market's page copy in every locale
+     * @param {Object} profile - Market profile
+     * @returns {Object} Messages by locale
+     */
+    function buildMessages(profile) {
+        const messages = {};
+        const amount = value => value.toLocaleString('en-US');
+        const min = Math.min.apply(null, Object.keys(profile.budgets).map(value => profile.budgets[value][0]));
+
+        Object.keys(MARKET_MESSAGES).forEach(locale => {
+            const templates = MARKET_MESSAGES[locale];
+            const currency = profile.currencyLabel[locale];
+            
+            messages[locale] = {
+                'page.who_2': fill(templates['page.who_2'], { min: amount(min), currency: currency }),
+                'page.faq3_answer': fill(templates['page.faq3_answer'], { min: amount(min), currency: currency })
+            };
+            Object.keys(BUDGET_KEYS).forEach(value => {
+                const range = profile.budgets[value];
+                messages[locale][BUDGET_KEYS[value]] = fill(templates[BUDGET_KEYS[value]], {
+                    from: amount(range[0]),
+                    to: range[1] !== undefined ? amount(range[1]) : '',
+                    currency: currency
+                });
+            });
+        });
+
+        return messages;
+    }
+
+    /**
+     * Budget option text of a market (budget values are shared between markets)
+     * @param {string} code - Market code
+     * @param {string} value - Budget option value
+     * @param {string} locale - Locale
+     * @returns {string} Option text, or the value for options without amounts
+     */
+    function budgetLabel(code, value, locale = 'ar') {
+        if (!isMarket(code) || !BUDGET_KEYS[value]) return value;
+        
+        return buildMessages(MARKET_PROFILES[code])[locale][BUDGET_KEYS[value]];
+    }
+
+    // Market class
+    class Market {
+        constructor(config, profiles) {
+            this.config = config;
+            this.profiles = profiles;
+            this.detected = this.detect();
+            this.code = this.detected.code;
+            this.profile = this.profiles[this.code];
+            this.init();
+        }
+
+        /**
+         * Apply the profile once the page is parsed
+         */
+        init() {
+            // Before the form handler formats the first number
+            if (window.formValidation) {
+                window.formValidation.setDefaultCountry(this.profile.country);
+            }
+            
+            if (window.i18n) {
+                window.i18n.addMessages(buildMessages(this.profile));
+            }
+            
+            const ready = () => {
+                if (!window.i18n) {
+                    this.applyCopy();
+                }
+                this.trackEvent('market_detected', {
+                    'event_category': 'Engagement',
+                    'event_label': this.code,
+                    'source': this.detected.source,
+                    'currency': this.profile.currency
+                });
+            };
+            
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', ready);
+            } else {
+                ready();
+            }
+        }
+
+        /**
+         * Pick the market from the URL path, the query string or the time zone
+         * @returns {Object} { code, source }
+         */
+        detect() {
+            const fromPath = marketFromPath(window.location.pathname);
+            if (fromPath) return { code: fromPath, source: 'path' };
+            
+            const fromQuery = (new URLSearchParams(window.location.search).get(this.config.urlParam) || '').toLowerCase();
+            if (isMarket(fromQuery)) return { code: fromQuery, source: 'query' };
+            
+            try {
+                const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+                if (this.config.timeZones[timeZone]) {
+                    return { code: this.config.timeZones[timeZone], source: 'timezone' };
+                }
+            } catch (e) {
+                // Intl unavailable
+            }
+            
+            return { code: this.config.defaultMarket, source: 'default' };
+        }
+
+        /**
+         * Budget option text in this market's currency
+         * @param {string} value - Budget option value
+         * @param {string} locale - Locale
+         * @returns {string} Option text, or the value for options without amounts
+         */
+        getBudgetLabel(value, locale = 'ar') {
+            return budgetLabel(this.code, value, locale);
+        }
+
+        /**
+         * Write the Arabic market copy straight into the markup (no catalog loaded)
+         */
+        applyCopy() {
+            const messages = buildMessages(this.profile).ar;
+            
+            Object.keys(messages).forEach(key => {
+                document.querySelectorAll(`[data-i18n="${key}"], [data-i18n-html="${key}"]`).forEach(element => {
+                    element.textContent = messages[key];
+                });
+            });
+        }
+
+        /**
+         * Send event to all destinations through the tracker bus
+         * @param {string} name - Event name
+         * @param {Object} params - Event parameters
+         */
+        trackEvent(name, params) {
+            if (window.tracker) {
+                window.tracker.track(name, params);
+            }
+        }
+    }
+
+    // Node (lead intake server)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            MARKET_CONFIG: MARKET_CONFIG,
+            MARKET_PROFILES: MARKET_PROFILES,
+            isMarket: isMarket,
+            marketFromPath: marketFromPath,
+            buildMessages: buildMessages,
+            budgetLabel: budgetLabel
+        };
+    }
+
+    // Browser: after validation.js so the phone country is set before the form handler runs
+    if (typeof window !== 'undefined') {
+        try {
+            window.market = new Market(MARKET_CONFIG, MARKET_PROFILES);
+        } catch (e) {
+            console.error('Market initialization error:', e);
+        }
+        window.Market = Market;
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * Hero Personalization
+ * Message match for ad traffic: rules map the campaign, search term or a
+ * custom kw parameter to hero headline, subheading and CTA copy, with the
+ * keyword inserted where a rule asks for it. Visitors without a matching
+ * rule see the active A/B variant.
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    // Rules are checked in order and the first match wins. A rule matches
+    // when one of its params contains one of its keywords, or, with
+    // anyValue, when one of its params is set at all. Copy can be given per
+    // locale ({ ar, en }); {keyword} is replaced by the sanitized value.
+    const PERSONALIZATION_CONFIG = {
+        params: ['kw', 'utm_term', 'utm_campaign'], // most specific first
+        maxKeywordLength: 40,
+        slots: {
+            headline: { selector: '#hero .hero__title', html: true, test: 'hero_headline' },
+            subheading: { selector: '#hero .hero__subtitle' },
+            cta: { selector: '[data-cta-id="hero_primary"] .btn__text' }
+        },
+        rules: [
+            {
+                id: 'restaurants',
+                keywords: ['مطاعم', 'مطعم', 'كافيه', 'كوفي', 'restaurant', 'cafe', 'food'],
+                copy: {
+                    headline: {
+                        ar: '<span class="hero__title-highlight">نرفع طلبات مطعمك خلال ٩٠ يوم…</span> وإلا نرجّع رسومنا',
+                        en: '<span class="hero__title-highlight">We grow your restaurant\'s orders within 90 days…</span> or we refund our fees'
+                    },
+                    subheading: {
+                        ar: 'لأصحاب المطاعم والكافيهات اللي يبون طاولات مليانة وطلبات توصيل أكثر. نجاحنا مربوط بنجاحك، ومكتوب بالعقد.',
+                        en: 'For restaurant and café owners who want full tables and more delivery orders. Our success is tied to yours, in writing.'
+                    },
+                    cta: {
+                        ar: 'أبي خطة نمو لمطعمي',
+                        en: 'I want a growth plan for my restaurant'
+                    }
+                }
+            },
+            {
+                id: 'clinics',
+                keywords: ['عيادات', 'عيادة', 'طبي', 'اسنان', 'clinic', 'dental', 'medical'],
+                copy: {
+                    headline: {
+                        ar: '<span class="hero__title-highlight">نزيد حجوزات عيادتك خلال ٩٠ يوم…</span> وإلا نرجّع رسومنا',
+                        en: '<span class="hero__title-highlight">We grow your clinic\'s bookings within 90 days…</span> or we refund our fees'
+                    },
+                    subheading: {
+                        ar: 'لأصحاب العيادات اللي يبون مواعيد مؤكدة مو مجرد استفسارات. نجاحنا مربوط بنجاحك، ومكتوب بالعقد.',
+                        en: 'For clinic owners who want confirmed appointments, not just inquiries. Our success is tied to yours, in writing.'
+                    },
+                    cta: {
+                        ar: 'أبي خطة نمو لعيادتي',
+                        en: 'I want a growth plan for my clinic'
+                    }
+                }
+            },
+            {
+                id: 'ecommerce',
+                keywords: ['متجر', 'متاجر', 'ecommerce', 'e-commerce', 'store', 'shop'],
+                copy: {
+                    headline: {
+                        ar: '<span class="hero__title-highlight">نرفع مبيعات متجرك الإلكتروني خلال ٩٠ يوم…</span> وإلا نرجّع رسومنا',
+                        en: '<span class="hero__title-highlight">We grow your online store\'s sales within 90 days…</span> or we refund our fees'
+                    },
+                    cta: {
+                        ar: 'أبي خطة نمو لمتجري',
+                        en: 'I want a growth plan for my store'
+                    }
+                }
+            },
+            {
+                // Dynamic keyword insertion for search ads: ?kw={keyword}
+                id: 'keyword',
+                params: ['kw'],
+                anyValue: true,
+                copy: {
+                    headline: {
+                        ar: 'تبي عملاء أكثر لـ<span class="hero__title-highlight">{keyword}</span>؟ نرفع مبيعاتك خلال ٩٠ يوم… وإلا نرجّع رسومنا',
+                        en: 'More customers for <span class="hero__title-highlight">{keyword}</span>? We grow your sales within 90 days… or we refund our fees'
+                    }
+                }
+            }
+        ],
+        analyticsEnabled: true
+    };
+
+    // Personalization class
+    class Personalization {
+        constructor(config) {
+            this.config = config;
+            this.values = this.readParams();
+            this.match = this.findMatch();
+            this.init();
+        }
+
+        /**
+         * Apply the matched copy once the page is parsed and on every locale change
+         */
+        init() {
+            const ready = () => {
+                this.apply();
+                this.trackMatch();
+            };
+            
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', ready);
+            } else {
+                ready();
+            }
+            
+            // The catalog restores the markup copy, so apply it again
+            document.addEventListener('locale:change', () => this.apply());
+        }
+
+        /**
+         * Read and sanitize the personalization parameters from the URL
+         * @returns {Object} Sanitized value per parameter
+         */
+        readParams() {
+            const urlParams = new URLSearchParams(window.location.search);
+            const values = {};
+            
+            // A/B previews show the variant as is
+            if (urlParams.has('ab_preview')) return values;
+            
+            this.config.params.forEach(param => {
+                const value = this.sanitize(urlParams.get(param));
+                if (value) {
+                    values[param] = value;
+                }
+            });
+            
+            return values;
+        }
+
+        /**
+         * Reduce an ad parameter to letters, digits, spaces and hyphens;
+         * values carrying markup are dropped rather than cleaned
+         * @param {string} value - Raw parameter value
+         * @returns {string} Safe keyword ('' when nothing is left)
+         */
+        sanitize(value) {
+            if (!value || /[<>]/.test(value)) return '';
+            
+            return value
+                .replace(/[_+]/g, ' ')
+                .replace(/[^\p{L}\p{N}\s-]/gu, '')
+                .replace(/\s+/g, ' ')
+                .trim()
+                .substring(0, this.config.maxKeywordLength)
+                .trim();
+        }
+
+        /**
+         * Find the first rule matching the parameters
+         * @returns {Object|null} { rule, param, keyword }
+         */
+        findMatch() {
+            for (const rule of this.config.rules) {
+                const params = rule.params || this.config.params;
+                
+                for (const param of params) {
+                    const value = this.values[param];
+                    if (!value) continue;
+                    
+                    const normalized = value.toLowerCase();
+                    if (rule.anyValue || (rule.keywords || []).some(keyword => normalized.includes(keyword.toLowerCase()))) {
+                        return { rule: rule, param: param, keyword: value };
+                    }
+                }
+            }
+            
+            return null;
+        }
+
+        /**
+         * Check whether the matched rule replaces the copy of an A/B test
+         * @param {string} testName - The name of the test
+         * @returns {boolean} Whether the test is bypassed for this visitor
+         */
+        overrides(testName) {
+            if (!this.match) return false;
+            
+            return Object.keys(this.match.rule.copy).some(slot => {
+                return this.config.slots[slot] && this.config.slots[slot].test === testName;
+            });
+        }
+
+        /**
+         * Write the matched rule's copy into its slots
+         */
+        apply() {
+            if (!this.match) return;
+            
+            Object.keys(this.match.rule.copy).forEach(slot => {
+                const target = this.config.slots[slot];
+                const template = this.localize(this.match.rule.copy[slot]);
+                if (!target || typeof template !== 'string') return;
+                
+                document.querySelectorAll(target.selector).forEach(element => {
+                    if (target.html) {
+                        element.innerHTML = this.fill(template, this.escapeHtml(this.match.keyword));
+                    } else {
+                        element.textContent = this.fill(template, this.match.keyword);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Insert the keyword into a copy template
+         * @param {string} template - Copy with an optional {keyword} placeholder
+         * @param {string} keyword - Keyword to insert
+         * @returns {string} Copy
+         */
+        fill(template, keyword) {
+            return template.replace(/\{keyword\}/g, () => keyword);
+        }
+
+        /**
+         * Escape text for use inside markup
+         * @param {string} text - Text
+         * @returns {string} Escaped text
+         */
+        escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        }
+
+        /**
+         * Resolve copy given per locale ({ ar, en }) for the current locale
+         * @param {*} value - Plain or localized value
+         * @returns {*} Value to apply
+         */
+        localize(value) {
+            if (window.i18n) return window.i18n.pick(value);
+            return value && typeof value === 'object' ? value.ar : value;
+        }
+
+        /**
+         * Get the matched rule, e.g. to attach to leads
+         * @returns {Object|null} { rule, param, keyword }
+         */
+        getMatch() {
+            if (!this.match) return null;
+            
+            return { rule: this.match.rule.id, param: this.match.param, keyword: this.match.keyword };
+        }
+
+        /**
+         * Report which rule fired, or the fallback when ad parameters matched none
+         */
+        trackMatch() {
+            if (!this.config.analyticsEnabled || !Object.keys(this.values).length) return;
+            
+            this.trackEvent('personalization_rule', {
+                'event_category': 'Personalization',
+                'event_label': this.match ? this.match.rule.id : 'fallback',
+                'rule_id': this.match ? this.match.rule.id : 'fallback',
+                'match_param': this.match ? this.match.param : null,
+                'keyword': this.match ? this.match.keyword : null
+            });
+        }
+
+        /**
+         * Send event to all destinations through the tracker bus
+         * @param {string} name - Event name
+         * @param {Object} params - Event parameters
+         */
+        trackEvent(name, params) {
+            if (window.tracker) {
+                window.tracker.track(name, params);
+            }
+        }
+    }
+
+    // Create before A/B testing assigns variants so matched visitors skip the tests it replaces
+    try {
+        window.personalization = new Personalization(PERSONALIZATION_CONFIG);
+    } catch (e) {
+        console.error('Personalization initialization error:', e);
+    }
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.Personalization = Personalization;
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,690 @@
+/**
+ * Lead Intake Server
+ * Reference backend for /api/submit-lead: validates leads with the shared
+ * field schema, verifies captcha tokens, deduplicates by phone and stores
+ * leads in a JSON file. Also receives beacon events and serves the landing
+ * page, so the whole funnel can be tested locally.
+ * 
+ * Node usage (no dependencies):
+ *   node server.js
+ *   PORT=3000 CAPTCHA_PROVIDER=recaptcha CAPTCHA_SECRET=... node server.js
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    const http = require('http');
+    const fs = require('fs');
+    const path = require('path');
+    const crypto = require('crypto');
+    const { FormValidation, VALIDATION_SCHEMA, MESSAGES } = require('./validation.js');
+    const { LeadDispatcher, DESTINATIONS_CONFIG } = require('./lead-destinations.js');
+    const { LeadScoring, LEAD_SCORING_CONFIG } = require('./lead-scoring.js');
+    const { MARKET_CONFIG, isMarket, marketFromPath } = require('./market.js');
+
+    // Configuration
+    const SERVER_CONFIG = {
+        port: parseInt(process.env.PORT, 10) || 3000,
+        host: process.env.HOST || '127.0.0.1',
+        dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+        leadsFile: 'leads.json',
+        eventsFile: 'events.ndjson', // readable by ab-results.js
+        staticDir: __dirname,
+        maxBodyBytes: 64 * 1024,
+        dedupeWindowDays: 30,
+        defaultLocale: 'ar',
+        spamScoreThreshold: 70, // leads scoring higher are stored with status 'spam'
+        allowedOrigins: (process.env.ALLOWED_ORIGINS || '').split(',').filter(Boolean),
+        adminToken: process.env.ADMIN_TOKEN || '', // enables /api/admin/deliveries
+        serverFiles: ['server.js', 'lead-destinations.js', 'conversions-mock.js'], // never served as static files
+        booking: {
+            timeZone: 'Asia/Riyadh',
+            utcOffsetMinutes: 180, // Saudi Arabia has no daylight saving time
+            workDays: [0, 1, 2, 3, 4], // Sunday to Thursday
+            startHour: 10,
+            endHour: 18,
+            durationMinutes: 30,
+            daysAhead: 10,
+            minNoticeHours: 3
+        },
+        captcha: {
+            provider: process.env.CAPTCHA_PROVIDER || 'none', // 'recaptcha', 'turnstile', 'stub' or 'none'
+            secret: process.env.CAPTCHA_SECRET || '',
+            stubToken: process.env.CAPTCHA_STUB_TOKEN || 'stub-token',
+            action: 'submit_lead',
+            minScore: 0.5, // reCAPTCHA v3 score below which the token is rejected
+            requireToken: false, // when false, leads whose captcha failed to load are stored unverified
+            timeout: 5000
+        }
+    };
+
+    // Error messages shown by FormHandler.showFormMessage, per locale
+    // (picked from the request's Content-Language header)
+    const ERROR_MESSAGES = {
+        ar: {
+            invalid_json: 'تعذر قراءة البيانات المرسلة',
+            payload_too_large: 'حجم البيانات المرسلة كبير جداً',
+            validation_failed: 'يرجى تصحيح الحقول المشار إليها',
+            captcha_failed: 'تعذر التحقق من الطلب. يرجى تحديث الصفحة والمحاولة مرة أخرى.',
+            not_found: 'الصفحة غير موجودة',
+            unauthorized: 'غير مصرح',
+            lead_not_found: 'لم نجد طلبك. تواصل معنا عبر واتساب لتحديد الموعد.',
+            slot_unavailable: 'هذا الموعد لم يعد متاحاً. يرجى اختيار موعد آخر.',
+            server_error: 'حدث خطأ في الخادم. يرجى المحاولة لاحقاً.'
+        },
+        en: {
+            invalid_json: 'The submitted data could not be read',
+            payload_too_large: 'The submitted data is too large',
+            validation_failed: 'Please correct the highlighted fields',
+            captcha_failed: 'We couldn\'t verify your request. Please refresh the page and try again.',
+            not_found: 'Page not found',
+            unauthorized: 'Unauthorized',
+            lead_not_found: 'We couldn\'t find your request. Contact us on WhatsApp to schedule your session.',
+            slot_unavailable: 'This time is no longer available. Please choose another one.',
+            server_error: 'A server error occurred. Please try again later.'
+        }
+    };
+
+    const CAPTCHA_ENDPOINTS = {
+        recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+        turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+    };
+
+    const CONTENT_TYPES = {
+        '.html': 'text/html; charset=utf-8',
+        '.js': 'application/javascript; charset=utf-8',
+        '.css': 'text/css; charset=utf-8',
+        '.json': 'application/json; charset=utf-8',
+        '.svg': 'image/svg+xml',
+        '.png': 'image/png',
+        '.jpg': 'image/jpeg',
+        '.webp': 'image/webp',
+        '.ico': 'image/x-icon'
+    };
+
+    /**
+     * Create an error carrying an HTTP status and error code
+     * @param {number} status - HTTP status
+     * @param {string} code - Error code (key of ERROR_MESSAGES)
+     * @param {Object} fields - Optional messages per field
+     * @returns {Error} Error
+     */
+    function httpError(status, code, fields) {
+        const error = new Error(ERROR_MESSAGES.ar[code] || code);
+        error.status = status;
+        error.code = code;
+        if (fields) error.fields = fields;
+        return error;
+    }
+
+    // JSON file lead storage
+    class LeadStore {
+        constructor(file) {
+            this.file = file;
+            this.leads = [];
+            this.writing = Promise.resolve();
+        }
+
+        /**
+         * Load stored leads
+         */
+        async load() {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            
+            try {
+                this.leads = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+                this.leads = [];
+            }
+        }
+
+        /**
+         * Find the latest lead with a phone number
+         * @param {string} phone - Phone number in E.164 format
+         * @param {number} maxAge - Maximum age in milliseconds
+         * @returns {Object|undefined} Stored lead
+         */
+        findByPhone(phone, maxAge) {
+            const since = Date.now() - maxAge;
+            return this.leads.slice().reverse().find(lead => {
+                return lead.fields.phone === phone && new Date(lead.createdAt).getTime() >= since;
+            });
+        }
+
+        /**
+         * Add a lead
+         * @param {Object} lead - Lead record
+         * @returns {Promise<Object>} Stored lead
+         */
+        async add(lead) {
+            this.leads.push(lead);
+            await this.save();
+            return lead;
+        }
+
+        /**
+         * Update a stored lead
+         * @param {Object} lead - Stored lead
+         * @param {Object} changes - Properties to change
+         * @returns {Promise<Object>} Updated lead
+         */
+        async update(lead, changes) {
+            Object.assign(lead, changes);
+            await this.save();
+            return lead;
+        }
+
+        /**
+         * Write leads to disk; writes are serialized and atomic
+         */
+        save() {
+            this.writing = this.writing.catch(() => {}).then(async () => {
+                const temp = `${this.file}.tmp`;
+                await fs.promises.writeFile(temp, JSON.stringify(this.leads, null, 2));
+                await fs.promises.rename(temp, this.file);
+            });
+            
+            return this.writing;
+        }
+    }
+
+    // Captcha token verification
+    class CaptchaVerifier {
+        constructor(config) {
+            this.config = config;
+        }
+
+        /**
+         * Verify a token sent by captcha.js
+         * @param {Object} lead - Lead payload with captchaToken and captchaProvider
+         * @param {string} remoteIp - Client IP address
+         * @returns {Promise<Object>} { verified, required, score, error }
+         */
+        async verify(lead, remoteIp) {
+            const provider = this.config.provider;
+            if (provider === 'none') {
+                return { verified: false, required: false, error: 'disabled' };
+            }
+            
+            const token = lead.captchaToken;
+            if (!token) {
+                return { verified: false, required: this.config.requireToken, error: lead.captchaError || 'missing_token' };
+            }
+            
+            if (provider === 'stub') {
+                const verified = token === this.config.stubToken;
+                return { verified: verified, required: true, error: verified ? null : 'invalid_token' };
+            }
+            
+            if (!CAPTCHA_ENDPOINTS[provider] || !this.config.secret) {
+                return { verified: false, required: false, error: 'not_configured' };
+            }
+            
+            const body = new URLSearchParams({ secret: this.config.secret, response: token });
+            if (remoteIp) body.set('remoteip', remoteIp);
+            
+            let result;
+            try {
+                const response = await fetch(CAPTCHA_ENDPOINTS[provider], {
+                    method: 'POST',
+                    body: body,
+                    signal: AbortSignal.timeout(this.config.timeout)
+                });
+                result = await response.json();
+            } catch (e) {
+                // Provider outage: don't lose the lead
+                console.error('Captcha verification error:', e.message);
+                return { verified: false, required: false, error: 'verification_unavailable' };
+            }
+            
+            if (!result.success) {
+                return { verified: false, required: true, error: (result['error-codes'] || ['invalid_token']).join(',') };
+            }
+            
+            if (result.action && result.action !== this.config.action) {
+                return { verified: false, required: true, error: 'action_mismatch' };
+            }
+            
+            if (typeof result.score === 'number' && result.score < this.config.minScore) {
+                return { verified: false, required: true, score: result.score, error: 'low_score' };
+            }
+            
+            return { verified: true, required: true, score: result.score, error: null };
+        }
+    }
+
+    // Lead intake server
+    class LeadServer {
+        constructor(config) {
+            this.config = config;
+            this.validator = new FormValidation(VALIDATION_SCHEMA, MESSAGES);
+            this.store = new LeadStore(path.join(config.dataDir, config.leadsFile));
+            this.captcha = new CaptchaVerifier(config.captcha);
+            this.scoring = new LeadScoring(LEAD_SCORING_CONFIG);
+            this.dispatcher = new LeadDispatcher(DESTINATIONS_CONFIG, this.store);
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        }
+
+        /**
+         * Load data and start listening
+         * @returns {Promise<http.Server>} Listening server
+         */
+        async start() {
+            await this.store.load();
+            this.dispatcher.start();
+            
+            return new Promise(resolve => {
+                this.server.listen(this.config.port, this.config.host, () => {
+                    const address = this.server.address();
+                    console.log(`[Lead Server] Listening on http://${address.address}:${address.port}`);
+                    resolve(this.server);
+                });
+            });
+        }
+
+        /**
+         * Stop listening
+         * @returns {Promise} Resolves when closed
+         */
+        stop() {
+            this.dispatcher.stop();
+            return new Promise(resolve => this.server.close(() => resolve()));
+        }
+
+        /**
+         * Route a request
+         * @param {http.IncomingMessage} req - Request
+         * @param {http.ServerResponse} res - Response
+         */
+        async handleRequest(req, res) {
+            const url = new URL(req.url, 'http://localhost');
+            this.setCorsHeaders(req, res);
+            
+            try {
+                if (req.method === 'OPTIONS') {
+                    res.writeHead(204);
+                    res.end();
+                } else if (req.method === 'POST' && url.pathname === '/api/submit-lead') {
+                    const result = await this.submitLead(req);
+                    this.sendJson(res, result.status, result.body);
+                } else if (req.method === 'POST' && url.pathname === '/api/events') {
+                    await this.storeEvents(req);
+                    res.writeHead(204);
+                    res.end();
+                } else if (req.method === 'GET' && url.pathname === '/api/slots') {
+                    this.sendJson(res, 200, {
+                        timeZone: this.config.booking.timeZone,
+                        durationMinutes: this.config.booking.durationMinutes,
+                        slots: this.getAvailableSlots()
+                    });
+                } else if (req.method === 'POST' && url.pathname === '/api/bookings') {
+                    const result = await this.bookMeeting(req);
+                    this.sendJson(res, result.status, result.body);
+                } else if (url.pathname.indexOf('/api/admin/') === 0) {
+                    const result = await this.handleAdmin(req, url);
+                    this.sendJson(res, result.status, result.body);
+                } else if (req.method === 'GET' || req.method === 'HEAD') {
+                    await this.serveStatic(url.pathname, req, res);
+                } else {
+                    throw httpError(404, 'not_found');
+                }
+            } catch (error) {
+                if (!error.status) {
+                    console.error('[Lead Server] Error:', error);
+                }
+                
+                const status = error.status || 500;
+                const code = error.status ? error.code : 'server_error';
+                const body = {
+                    success: false,
+                    error: code || 'server_error',
+                    message: ERROR_MESSAGES[this.getLocale(req)][code] || error.message
+                };
+                if (error.fields) body.errors = error.fields;
+                
+                this.sendJson(res, status, body);
+            }
+        }
+
+        /**
+         * Get the visitor's locale from the Content-Language header
+         * @param {http.IncomingMessage} req - Request
+         * @returns {string} Supported locale
+         */
+        getLocale(req) {
+            const locale = (req.headers['content-language'] || '').split(',')[0].trim().toLowerCase().split('-')[0];
+            return ERROR_MESSAGES[locale] ? locale : this.config.defaultLocale;
+        }
+
+        /**
+         * Allow configured origins to post from another host
+         * @param {http.IncomingMessage} req - Request
+         * @param {http.ServerResponse} res - Response
+         */
+        setCorsHeaders(req, res) {
+            const origin = req.headers.origin;
+            if (origin && this.config.allowedOrigins.indexOf(origin) !== -1) {
+                res.setHeader('Access-Control-Allow-Origin', origin);
+                res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+                res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Content-Language, X-Requested-With');
+                res.setHeader('Vary', 'Origin');
+            }
+        }
+
+        /**
+         * Send a JSON response
+         * @param {http.ServerResponse} res - Response
+         * @param {number} status - HTTP status
+         * @param {Object} body - Response body
+         */
+        sendJson(res, status, body) {
+            if (res.headersSent) return;
+            
+            res.writeHead(status, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Cache-Control': 'no-store'
+            });
+            res.end(JSON.stringify(body));
+        }
+
+        /**
+         * Read and parse a JSON request body
+         * @param {http.IncomingMessage} req - Request
+         * @returns {Promise<Object>} Parsed body
+         */
+        readJson(req) {
+            return new Promise((resolve, reject) => {
+                const chunks = [];
+                let size = 0;
+                let tooLarge = false;
+                
+                req.on('data', chunk => {
+                    if (tooLarge) return;
+                    
+                    size += chunk.length;
+                    if (size > this.config.maxBodyBytes) {
+                        // Keep reading (and discarding) the rest so the 413 reaches the client
+                        tooLarge = true;
+                        chunks.length = 0;
+                        reject(httpError(413, 'payload_too_large'));
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                
+                req.on('end', () => {
+                    if (tooLarge) return;
+                    
+                    try {
+                        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                            throw new Error('Body must be an object');
+                        }
+                        resolve(body);
+                    } catch (e) {
+                        reject(httpError(400, 'invalid_json'));
+                    }
+                });
+                
+                req.on('error', reject);
+            });
+        }
+
+        /**
+         * Get the client IP address
+         * @param {http.IncomingMessage} req - Request
+         * @returns {string} IP address
+         */
+        getClientIp(req) {
+            const forwarded = req.headers['x-forwarded-for'];
+            return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+        }
+
+        /**
+         * Validate, verify, deduplicate and store a lead
+         * @param {http.IncomingMessage} req - Request
+         * @returns {Promise<Object>} { status, body }
+         */
+        async submitLead(req) {
+            const payload = await this.readJson(req);
+            
+            // Same rules as the front end; the client already normalized the
+            // phone number with the visitor's default country
+            const locale = ERROR_MESSAGES[payload.locale] ? payload.locale : this.getLocale(req);
+            const validation = this.validator.validateFields(Object.assign({}, payload, payload.phoneE164 ? { phone: payload.phoneE164 } : {}), locale);
+            if (!validation.valid) {
+                throw httpError(422, 'validation_failed', validation.errors);
+            }
+            
+            const captcha = await this.captcha.verify(payload, this.getClientIp(req));
+            if (!captcha.verified && captcha.required) {
+                console.log(`[Lead Server] Captcha rejected: ${captcha.error}`);
+                throw httpError(403, 'captcha_failed');
+            }
+            
+            const fields = validation.values;
+            const now = new Date().toISOString();
+            
+            // Repeat submissions update the existing lead
+            const existing = this.store.findByPhone(fields.phone, this.config.dedupeWindowDays * 24 * 60 * 60 * 1000);
+            if (existing) {
+                await this.store.update(existing, {
+                    submissionCount: (existing.submissionCount || 1) + 1,
+                    lastSubmittedAt: now
+                });
+                console.log(`[Lead Server] Duplicate lead ${existing.id}`);
+                
+                return { status: 200, body: { success: true, leadId: existing.id, duplicate: true } };
+            }
+            
+            // Everything that is not a schema field is tracking context
+            const context = Object.assign({}, payload);
+            Object.keys(VALIDATION_SCHEMA).concat(['captchaToken', 'captchaProvider', 'captchaError', 'locale', 'market']).forEach(key => {
+                delete context[key];
+            });
+            context.clientIp = this.getClientIp(req); // matching data for server-side conversions
+            
+            const spamScore = payload.spam && typeof payload.spam.score === 'number' ? payload.spam.score : 0;
+            const qualification = this.scoring.score(fields);
+            const lead = await this.store.add({
+                id: crypto.randomUUID(),
+                createdAt: now,
+                status: spamScore >= this.config.spamScoreThreshold ? 'spam' : 'new',
+                locale: locale,
+                market: isMarket(payload.market) ? payload.market : MARKET_CONFIG.defaultMarket,
+                fields: fields,
+                qualification: { score: qualification.score, tier: qualification.tier },
+                captcha: {
+                    provider: payload.captchaProvider || null,
+                    verified: captcha.verified,
+                    score: captcha.score !== undefined ? captcha.score : null,
+                    error: captcha.error
+                },
+                context: context,
+                submissionCount: 1
+            });
+            console.log(`[Lead Server] Stored lead ${lead.id} (${lead.status})`);
+            
+            // Fan out in the background; failures are retried and listed by the admin endpoint
+            if (lead.status !== 'spam') {
+                this.dispatcher.dispatch(lead).catch(error => console.error('[Lead Server] Dispatch error:', error));
+            }
+            
+            return { status: 201, body: { success: true, leadId: lead.id, duplicate: false } };
+        }
+
+        /**
+         * Generate open meeting slots from the booking hours
+         * @param {Date} now - Current time
+         * @returns {Array<string>} Slot start times (ISO 8601 with offset)
+         */
+        getAvailableSlots(now = new Date()) {
+            const booking = this.config.booking;
+            const offsetMs = booking.utcOffsetMinutes * 60 * 1000;
+            const earliest = now.getTime() + booking.minNoticeHours * 60 * 60 * 1000;
+            const offset = `${booking.utcOffsetMinutes < 0 ? '-' : '+'}${String(Math.floor(Math.abs(booking.utcOffsetMinutes) / 60)).padStart(2, '0')}:${String(Math.abs(booking.utcOffsetMinutes) % 60).padStart(2, '0')}`;
+            const pad = value => String(value).padStart(2, '0');
+            
+            const booked = new Set(this.store.leads
+                .filter(lead => lead.booking)
+                .map(lead => new Date(lead.booking.start).getTime()));
+            
+            const slots = [];
+            for (let day = 0; day <= booking.daysAhead; day++) {
+                // Calendar date in the business time zone
+                const local = new Date(now.getTime() + offsetMs + day * 24 * 60 * 60 * 1000);
+                if (booking.workDays.indexOf(local.getUTCDay()) === -1) continue;
+                
+                const date = `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}`;
+                for (let minutes = booking.startHour * 60; minutes + booking.durationMinutes <= booking.endHour * 60; minutes += booking.durationMinutes) {
+                    const start = `${date}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00${offset}`;
+                    const time = new Date(start).getTime();
+                    
+                    if (time >= earliest && !booked.has(time)) {
+                        slots.push(start);
+                    }
+                }
+            }
+            
+            return slots;
+        }
+
+        /**
+         * Book a meeting slot for a stored lead
+         * @param {http.IncomingMessage} req - Request
+         * @returns {Promise<Object>} { status, body }
+         */
+        async bookMeeting(req) {
+            const payload = await this.readJson(req);
+            
+            const lead = this.store.leads.find(item => item.id === payload.leadId);
+            if (!lead) {
+                throw httpError(404, 'lead_not_found');
+            }
+            
+            const start = new Date(payload.start).getTime();
+            const slot = this.getAvailableSlots().find(item => new Date(item).getTime() === start);
+            if (!slot) {
+                throw httpError(409, 'slot_unavailable');
+            }
+            
+            const end = new Date(start + this.config.booking.durationMinutes * 60 * 1000).toISOString();
+            await this.store.update(lead, {
+                booking: {
+                    start: slot,
+                    end: end,
+                    timeZone: payload.timeZone || this.config.booking.timeZone,
+                    bookedAt: new Date().toISOString()
+                }
+            });
+            console.log(`[Lead Server] Lead ${lead.id} booked ${slot}`);
+            
+            return { status: 201, body: { success: true, booking: lead.booking } };
+        }
+
+        /**
+         * Admin endpoints, authorized with ADMIN_TOKEN as a bearer token:
+         *   GET  /api/admin/deliveries        undelivered CRM/webhook deliveries
+         *   POST /api/admin/deliveries/retry  { leadId, destination }
+         * @param {http.IncomingMessage} req - Request
+         * @param {URL} url - Parsed request URL
+         * @returns {Promise<Object>} { status, body }
+         */
+        async handleAdmin(req, url) {
+            const expected = Buffer.from(`Bearer ${this.config.adminToken}`);
+            const given = Buffer.from(req.headers.authorization || '');
+            if (!this.config.adminToken) {
+                throw httpError(404, 'not_found');
+            }
+            if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+                throw httpError(401, 'unauthorized');
+            }
+            
+            if (req.method === 'GET' && url.pathname === '/api/admin/deliveries') {
+                return { status: 200, body: { success: true, deliveries: this.dispatcher.getUndelivered() } };
+            }
+            
+            if (req.method === 'POST' && url.pathname === '/api/admin/deliveries/retry') {
+                const body = await this.readJson(req);
+                const queued = await this.dispatcher.retry(body.leadId, body.destination);
+                if (!queued) throw httpError(404, 'not_found');
+                return { status: 202, body: { success: true } };
+            }
+            
+            throw httpError(404, 'not_found');
+        }
+
+        /**
+         * Append beacon events as newline-delimited JSON
+         * @param {http.IncomingMessage} req - Request
+         */
+        async storeEvents(req) {
+            const body = await this.readJson(req);
+            const events = Array.isArray(body.events) ? body.events : [];
+            if (!events.length) return;
+            
+            const receivedAt = new Date().toISOString();
+            const lines = events.map(event => JSON.stringify(Object.assign({ received_at: receivedAt }, event))).join('\n');
+            await fs.promises.mkdir(this.config.dataDir, { recursive: true });
+            await fs.promises.appendFile(path.join(this.config.dataDir, this.config.eventsFile), `${lines}\n`);
+        }
+
+        /**
+         * Serve the landing page, also at the market paths (/sa, /ae, /kw, /qa).
+         * index.html references js/ and css/ paths while the files live at the
+         * repository root.
+         * @param {string} pathname - Request path
+         * @param {http.IncomingMessage} req - Request
+         * @param {http.ServerResponse} res - Response
+         */
+        async serveStatic(pathname, req, res) {
+            const isPage = pathname === '/' || (marketFromPath(pathname) && !path.extname(pathname));
+            let name = 'index.html';
+            if (!isPage) {
+                try {
+                    name = path.basename(decodeURIComponent(pathname));
+                } catch (e) {
+                    // Malformed escape such as /%E0
+                    throw httpError(404, 'not_found');
+                }
+            }
+            const type = CONTENT_TYPES[path.extname(name)];
+            if (!type || this.config.serverFiles.indexOf(name) !== -1) {
+                throw httpError(404, 'not_found');
+            }
+            
+            let content;
+            try {
+                content = await fs.promises.readFile(path.join(this.config.staticDir, name));
+            } catch (e) {
+                throw httpError(404, 'not_found');
+            }
+            
+            res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+            res.end(req.method === 'HEAD' ? undefined : content);
+        }
+    }
+
+    // Node entry point
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            LeadServer: LeadServer,
+            LeadStore: LeadStore,
+            CaptchaVerifier: CaptchaVerifier,
+            SERVER_CONFIG: SERVER_CONFIG,
+            ERROR_MESSAGES: ERROR_MESSAGES
+        };
+
+        if (require.main === module) {
+            new LeadServer(SERVER_CONFIG).start().catch(error => {
+                console.error('[Lead Server] Failed to start:', error);
+                process.exit(1);
+            });
+        }
+    }
+})();
\ No newline at end of file
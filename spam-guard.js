@@ -0,0 +1,215 @@
+/**
+ * Spam Guard
+ * Scores lead submissions with client-side spam signals. Leads are never
+ * dropped here: the score is sent with the lead and the server decides.
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const SPAM_CONFIG = {
+        formId: 'lead-form',
+        minCompletionSeconds: 8, // faster than a human can fill both steps
+        throttleStorageKey: 'lead_submissions',
+        throttleWindowMinutes: 60,
+        maxSubmissionsPerWindow: 2,
+        duplicateStorageKey: 'lead_phone_hashes',
+        duplicateWindowDays: 30,
+        urlFields: ['challenge', 'notes'],
+        weights: {
+            honeypot: 100,
+            too_fast: 40,
+            no_keystrokes: 20,
+            no_pointer: 10,
+            throttled: 30,
+            duplicate_phone: 25,
+            contains_url: 30
+        }
+    };
+
+    // Links, bare domains and messaging handles often used by spam bots
+    const URL_PATTERN = /(https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|info|xyz|top|ru|io|biz|link|click)\b|t\.me\/|bit\.ly)/i;
+
+    // Spam guard class
+    class SpamGuard {
+        constructor(config) {
+            this.config = config;
+            this.form = document.getElementById(config.formId);
+            this.firstInteractionAt = null;
+            this.keystrokes = 0;
+            this.pointerEvents = 0;
+            this.pastes = 0;
+            this.lastPhoneHash = null;
+            this.init();
+        }
+
+        /**
+         * Initialize interaction tracking
+         */
+        init() {
+            if (!this.form) return;
+            
+            this.form.addEventListener('focusin', () => {
+                if (!this.firstInteractionAt) {
+                    this.firstInteractionAt = Date.now();
+                }
+            });
+            
+            this.form.addEventListener('keydown', () => this.keystrokes++);
+            this.form.addEventListener('paste', () => this.pastes++);
+            ['pointerdown', 'touchstart'].forEach(type => {
+                this.form.addEventListener(type, () => this.pointerEvents++, { passive: true });
+            });
+            
+            // Remember successful submissions for throttling and duplicates
+            this.form.addEventListener('form:submitted', () => this.recordSubmission());
+        }
+
+        /**
+         * Read a list of timestamped entries, dropping old ones
+         * @param {string} key - Storage key
+         * @param {number} maxAge - Maximum age in milliseconds
+         * @returns {Array<Object>} Entries with a timestamp
+         */
+        readEntries(key, maxAge) {
+            try {
+                const entries = JSON.parse(localStorage.getItem(key)) || [];
+                return entries.filter(entry => Date.now() - entry.timestamp < maxAge);
+            } catch (e) {
+                return [];
+            }
+        }
+
+        /**
+         * Store a list of timestamped entries
+         * @param {string} key - Storage key
+         * @param {Array<Object>} entries - Entries to store
+         */
+        writeEntries(key, entries) {
+            try {
+                localStorage.setItem(key, JSON.stringify(entries));
+            } catch (e) {
+                console.error('Spam guard storage error:', e);
+            }
+        }
+
+        /**
+         * Hash a phone number so raw numbers are not kept in storage
+         * @param {string} phone - Phone number in E.164 format
+         * @returns {Promise<string|null>} Hex SHA-256 hash
+         */
+        async hashPhone(phone) {
+            if (!phone || !window.crypto || !window.crypto.subtle) return null;
+            
+            const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(phone));
+            return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        /**
+         * Score a lead before it is sent
+         * @param {Object} data - Lead payload
+         * @param {Object} options - { honeypot } whether the honeypot was filled
+         * @returns {Promise<Object>} { score, flags, signals }
+         */
+        async evaluate(data, options = {}) {
+            const weights = this.config.weights;
+            const flags = [];
+            
+            const completionSeconds = this.firstInteractionAt
+                ? Math.round((Date.now() - this.firstInteractionAt) / 1000)
+                : null;
+            
+            if (options.honeypot) {
+                flags.push('honeypot');
+            }
+            
+            if (completionSeconds === null || completionSeconds < this.config.minCompletionSeconds) {
+                flags.push('too_fast');
+            }
+            
+            // Autofill and paste don't produce keystrokes
+            if (this.keystrokes === 0 && this.pastes === 0) {
+                flags.push('no_keystrokes');
+            }
+            
+            if (this.pointerEvents === 0) {
+                flags.push('no_pointer');
+            }
+            
+            const windowMs = this.config.throttleWindowMinutes * 60 * 1000;
+            const recent = this.readEntries(this.config.throttleStorageKey, windowMs);
+            if (recent.length >= this.config.maxSubmissionsPerWindow) {
+                flags.push('throttled');
+            }
+            
+            try {
+                this.lastPhoneHash = await this.hashPhone(data.phoneE164 || data.phone);
+            } catch (e) {
+                this.lastPhoneHash = null;
+            }
+            
+            const duplicateMs = this.config.duplicateWindowDays * 24 * 60 * 60 * 1000;
+            if (this.lastPhoneHash && this.readEntries(this.config.duplicateStorageKey, duplicateMs)
+                .some(entry => entry.hash === this.lastPhoneHash)) {
+                flags.push('duplicate_phone');
+            }
+            
+            const urlFields = this.config.urlFields.filter(name => URL_PATTERN.test(data[name] || ''));
+            if (urlFields.length) {
+                flags.push('contains_url');
+            }
+            
+            const score = Math.min(100, flags.reduce((total, flag) => total + (weights[flag] || 0), 0));
+            
+            return {
+                score: score,
+                flags: flags,
+                signals: {
+                    completionSeconds: completionSeconds,
+                    keystrokes: this.keystrokes,
+                    pointerEvents: this.pointerEvents,
+                    pastes: this.pastes,
+                    recentSubmissions: recent.length,
+                    urlFields: urlFields
+                }
+            };
+        }
+
+        /**
+         * Record a submitted lead for throttling and duplicate detection
+         */
+        recordSubmission() {
+            const windowMs = this.config.throttleWindowMinutes * 60 * 1000;
+            const recent = this.readEntries(this.config.throttleStorageKey, windowMs);
+            recent.push({ timestamp: Date.now() });
+            this.writeEntries(this.config.throttleStorageKey, recent);
+            
+            if (this.lastPhoneHash) {
+                const duplicateMs = this.config.duplicateWindowDays * 24 * 60 * 60 * 1000;
+                const phones = this.readEntries(this.config.duplicateStorageKey, duplicateMs)
+                    .filter(entry => entry.hash !== this.lastPhoneHash);
+                phones.push({ hash: this.lastPhoneHash, timestamp: Date.now() });
+                this.writeEntries(this.config.duplicateStorageKey, phones);
+            }
+        }
+    }
+
+    // Initialize spam guard
+    document.addEventListener('DOMContentLoaded', function() {
+        try {
+            window.spamGuard = new SpamGuard(SPAM_CONFIG);
+        } catch (e) {
+            console.error('Spam guard initialization error:', e);
+        }
+    });
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.SpamGuard = SpamGuard;
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,471 @@
+/**
+ * Tracker - Analytics Event Bus
+ * Routes tracking events to registered destination adapters
+ * (GA4, Meta Pixel, TikTok Pixel, Snap Pixel, first-party endpoint)
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    // Pixel events map internal event names to the destination's own event
+    // names; events without a mapping are not sent to that destination.
+    // Each destination needs consent for its category before it loads;
+    // events tracked before the visitor decides are queued.
+    const TRACKER_CONFIG = {
+        debug: false,
+        maxQueuedEvents: 50,
+        destinations: {
+            ga4: {
+                enabled: true,
+                category: 'analytics',
+                measurementId: '' // e.g. G-XXXXXXXXXX; loads gtag.js when set
+            },
+            meta: {
+                enabled: true,
+                category: 'marketing',
+                pixelId: '', // loads fbevents.js when set
+                events: {
+                    cta_click: { name: 'CTA_Click' },
+                    scroll_depth: {
+                        name: 'Scroll_Depth',
+                        params: p => ({ scroll_depth: p.event_label })
+                    },
+                    ab_test_impression: { name: 'AB_Test_Impression' },
+                    ab_test_conversion: { name: 'AB_Test_Conversion' },
+                    form_submission: {
+                        name: 'Lead',
+                        standard: true,
+                        params: p => ({
+                            content_name: 'Lead Form',
+                            content_category: 'Form Submission',
+                            value: p.value,
+                            currency: p.currency
+                        })
+                    },
+                    schedule_meeting: { name: 'Schedule', standard: true }
+                }
+            },
+            tiktok: {
+                enabled: true,
+                category: 'marketing',
+                pixelId: '', // loads the TikTok pixel when set
+                events: {
+                    cta_click: { name: 'ClickButton', params: p => ({ content_id: p.cta_id }) },
+                    form_submission: {
+                        name: 'SubmitForm',
+                        params: p => ({ value: p.value, currency: p.currency })
+                    }
+                }
+            },
+            snap: {
+                enabled: true,
+                category: 'marketing',
+                pixelId: '', // loads the Snap pixel when set
+                events: {
+                    form_submission: {
+                        name: 'SIGN_UP',
+                        params: p => ({ price: p.value, currency: p.currency })
+                    },
+                    schedule_meeting: { name: 'RESERVE' }
+                }
+            },
+            beacon: {
+                enabled: true,
+                category: 'analytics',
+                endpoint: '/api/events',
+                flushInterval: 2000, // batch events for 2 seconds
+                maxBatchSize: 20
+            }
+        }
+    };
+
+    /**
+     * Load a third-party script once
+     * @param {string} src - Script URL
+     */
+    function loadScript(src) {
+        if (document.querySelector(`script[src="${src}"]`)) return;
+
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = src;
+        document.head.appendChild(script);
+    }
+
+    /**
+     * Resolve destination event name and params from an event map
+     * @param {Object} events - Event map of the destination
+     * @param {Object} event - Tracked event
+     * @returns {Object|null} Mapped event or null if not mapped
+     */
+    function mapEvent(events, event) {
+        const mapping = events && events[event.name];
+        if (!mapping) return null;
+
+        return {
+            name: mapping.name,
+            standard: !!mapping.standard,
+            params: typeof mapping.params === 'function' ? mapping.params(event.params) : event.params
+        };
+    }
+
+    // Google Analytics 4 adapter
+    class GA4Adapter {
+        constructor(config) {
+            this.name = 'GA4';
+            this.category = config.category;
+            this.config = config;
+        }
+
+        load() {
+            if (!this.config.measurementId) return;
+            
+            // The consent manager may already have defined the gtag stub
+            window.dataLayer = window.dataLayer || [];
+            if (typeof window.gtag !== 'function') {
+                window.gtag = function() {
+                    window.dataLayer.push(arguments);
+                };
+            }
+            window.gtag('js', new Date());
+            window.gtag('config', this.config.measurementId);
+            loadScript(`https://www.googletagmanager.com/gtag/js?id=${this.config.measurementId}`);
+        }
+
+        isAvailable() {
+            return typeof window.gtag === 'function';
+        }
+
+        send(event) {
+            window.gtag('event', event.name, event.params);
+        }
+    }
+
+    // Meta Pixel adapter
+    class MetaPixelAdapter {
+        constructor(config) {
+            this.name = 'Meta Pixel';
+            this.category = config.category;
+            this.config = config;
+        }
+
+        load() {
+            if (!this.config.pixelId || window.fbq) return;
+            
+            const fbq = window.fbq = function() {
+                fbq.callMethod ? fbq.callMethod.apply(fbq, arguments) : fbq.queue.push(arguments);
+            };
+            if (!window._fbq) window._fbq = fbq;
+            fbq.push = fbq;
+            fbq.loaded = true;
+            fbq.version = '2.0';
+            fbq.queue = [];
+            loadScript('https://connect.facebook.net/en_US/fbevents.js');
+            
+            fbq('init', this.config.pixelId);
+            fbq('track', 'PageView');
+        }
+
+        isAvailable() {
+            return typeof window.fbq === 'function';
+        }
+
+        send(event) {
+            const mapped = mapEvent(this.config.events, event);
+            if (!mapped) return;
+            
+            // Same event id as the Conversions API copy sent by the lead server
+            const options = event.params && event.params.event_id ? { eventID: event.params.event_id } : undefined;
+            window.fbq(mapped.standard ? 'track' : 'trackCustom', mapped.name, mapped.params, options);
+        }
+    }
+
+    // TikTok Pixel adapter
+    class TikTokPixelAdapter {
+        constructor(config) {
+            this.name = 'TikTok Pixel';
+            this.category = config.category;
+            this.config = config;
+        }
+
+        load() {
+            if (!this.config.pixelId || window.ttq) return;
+            
+            // Queue calls until the pixel library replaces the stub
+            const ttq = window.ttq = [];
+            ['page', 'track', 'identify'].forEach(method => {
+                ttq[method] = function() {
+                    ttq.push([method].concat(Array.prototype.slice.call(arguments)));
+                };
+            });
+            loadScript(`https://analytics.tiktok.com/i18n/pixel/events.js?sdkid=${this.config.pixelId}&lib=ttq`);
+            
+            ttq.page();
+        }
+
+        isAvailable() {
+            return !!window.ttq && typeof window.ttq.track === 'function';
+        }
+
+        send(event) {
+            const mapped = mapEvent(this.config.events, event);
+            if (!mapped) return;
+            
+            window.ttq.track(mapped.name, mapped.params);
+        }
+    }
+
+    // Snap Pixel adapter
+    class SnapPixelAdapter {
+        constructor(config) {
+            this.name = 'Snap Pixel';
+            this.category = config.category;
+            this.config = config;
+        }
+
+        load() {
+            if (!this.config.pixelId || window.snaptr) return;
+            
+            const snaptr = window.snaptr = function() {
+                snaptr.handleRequest ? snaptr.handleRequest.apply(snaptr, arguments) : snaptr.queue.push(arguments);
+            };
+            snaptr.queue = [];
+            loadScript('https://sc-static.net/scevent.min.js');
+            
+            snaptr('init', this.config.pixelId);
+            snaptr('track', 'PAGE_VIEW');
+        }
+
+        isAvailable() {
+            return typeof window.snaptr === 'function';
+        }
+
+        send(event) {
+            const mapped = mapEvent(this.config.events, event);
+            if (!mapped) return;
+            
+            window.snaptr('track', mapped.name, mapped.params);
+        }
+    }
+
+    // First-party endpoint adapter (batched sendBeacon)
+    class BeaconAdapter {
+        constructor(config) {
+            this.name = 'Beacon';
+            this.category = config.category;
+            this.config = config;
+            this.queue = [];
+            this.flushTimer = null;
+        }
+
+        load() {
+            // Flush remaining events when the page is hidden or closed
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+            window.addEventListener('pagehide', () => this.flush());
+        }
+
+        isAvailable() {
+            return !!this.config.endpoint;
+        }
+
+        send(event) {
+            this.queue.push({
+                event: event.name,
+                params: event.params,
+                timestamp: event.timestamp,
+                page_url: window.location.href,
+                session_id: window.analytics ? window.analytics.sessionId : null,
+                visitor_id: window.abTesting ? window.abTesting.visitorId : null
+            });
+            
+            if (this.queue.length >= this.config.maxBatchSize) {
+                this.flush();
+            } else if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), this.config.flushInterval);
+            }
+        }
+
+        flush() {
+            if (this.flushTimer) {
+                clearTimeout(this.flushTimer);
+                this.flushTimer = null;
+            }
+            if (!this.queue.length) return;
+            
+            const body = JSON.stringify({ events: this.queue });
+            this.queue = [];
+            
+            if (navigator.sendBeacon && navigator.sendBeacon(this.config.endpoint, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+            
+            fetch(this.config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: body,
+                keepalive: true
+            }).catch(e => console.error('Beacon tracking error:', e));
+        }
+    }
+
+    // Event bus
+    class Tracker {
+        constructor(config) {
+            this.config = config;
+            this.adapters = [];
+            this.pending = new Map();
+            this.init();
+        }
+
+        /**
+         * Register the built-in destinations
+         */
+        init() {
+            const destinations = this.config.destinations;
+            const builtIn = {
+                ga4: GA4Adapter,
+                meta: MetaPixelAdapter,
+                tiktok: TikTokPixelAdapter,
+                snap: SnapPixelAdapter,
+                beacon: BeaconAdapter
+            };
+            
+            Object.keys(builtIn).forEach(key => {
+                if (destinations[key] && destinations[key].enabled) {
+                    this.register(new builtIn[key](destinations[key]));
+                }
+            });
+            
+            if (window.consent) {
+                window.consent.onChange(() => this.handleConsentChange());
+            }
+        }
+
+        /**
+         * Check whether an adapter may receive events
+         * @param {Object} adapter - Destination adapter
+         * @returns {boolean} Whether consent allows the destination
+         */
+        isAllowed(adapter) {
+            if (!window.consent) return true;
+            return window.consent.has(adapter.category || 'analytics');
+        }
+
+        /**
+         * Load an adapter's script once
+         * @param {Object} adapter - Destination adapter
+         */
+        loadAdapter(adapter) {
+            if (adapter.loaded) return;
+            adapter.loaded = true;
+            
+            if (typeof adapter.load === 'function') {
+                try {
+                    adapter.load();
+                } catch (e) {
+                    console.error(`${adapter.name} loading error:`, e);
+                }
+            }
+        }
+
+        /**
+         * Load newly allowed destinations and flush their queued events
+         */
+        handleConsentChange() {
+            this.adapters.forEach(adapter => {
+                const queued = this.pending.get(adapter) || [];
+                this.pending.delete(adapter);
+                
+                if (!this.isAllowed(adapter)) return;
+                
+                this.loadAdapter(adapter);
+                queued.forEach(event => this.deliver(adapter, event));
+            });
+        }
+
+        /**
+         * Send an event to one adapter
+         * @param {Object} adapter - Destination adapter
+         * @param {Object} event - Tracked event
+         */
+        deliver(adapter, event) {
+            if (typeof adapter.isAvailable === 'function' && !adapter.isAvailable()) return;
+            
+            try {
+                adapter.send(event);
+            } catch (e) {
+                console.error(`${adapter.name} tracking error:`, e);
+            }
+        }
+
+        /**
+         * Register a destination adapter
+         * @param {Object} adapter - Object with name, category, send(event) and optional load()/isAvailable()
+         */
+        register(adapter) {
+            if (!adapter || typeof adapter.send !== 'function') {
+                console.error('Invalid tracking adapter:', adapter);
+                return;
+            }
+            
+            this.adapters.push(adapter);
+            
+            if (this.isAllowed(adapter)) {
+                this.loadAdapter(adapter);
+            }
+        }
+
+        /**
+         * Send an event to every available destination
+         * @param {string} name - Event name (GA4 style, e.g. cta_click)
+         * @param {Object} params - Event parameters
+         */
+        track(name, params = {}) {
+            const event = {
+                name: name,
+                params: params,
+                timestamp: new Date().toISOString()
+            };
+            
+            this.adapters.forEach(adapter => {
+                if (this.isAllowed(adapter)) {
+                    this.loadAdapter(adapter);
+                    this.deliver(adapter, event);
+                    return;
+                }
+                
+                // Hold events until the visitor decides; drop them once refused
+                if (window.consent && !window.consent.hasDecided()) {
+                    const queued = this.pending.get(adapter) || [];
+                    if (queued.length < this.config.maxQueuedEvents) {
+                        queued.push(event);
+                        this.pending.set(adapter, queued);
+                    }
+                }
+            });
+            
+            if (this.config.debug) {
+                console.log(`[Tracker] ${name}`, params);
+            }
+        }
+    }
+
+    // Create the bus immediately so other modules can register adapters
+    try {
+        window.tracker = new Tracker(TRACKER_CONFIG);
+    } catch (e) {
+        console.error('Tracker initialization error:', e);
+    }
+
+    // Export for testing
+    if (typeof window !== 'undefined') {
+        window.Tracker = Tracker;
+    }
+})();
\ No newline at end of file
@@ -0,0 +1,288 @@
+/**
+ * Form Validation Schema
+ * Field rules shared by the form handler, the step navigation and the
+ * lead intake server, with Gulf phone number parsing
+ * 
+ * @author Professional Developer
+ * @version 1.0
+ * @license MIT
+ */
+
+(function() {
+    'use strict';
+
+    // Phone rules per country: national significant number patterns (mobile)
+    const PHONE_COUNTRIES = {
+        SA: { dialCode: '966', trunkPrefix: '0', pattern: /^5\d{8}$/, example: '05XXXXXXXX' },
+        AE: { dialCode: '971', trunkPrefix: '0', pattern: /^5[024568]\d{7}$/, example: '05XXXXXXXX' },
+        KW: { dialCode: '965', trunkPrefix: '', pattern: /^[569]\d{7}$/, example: 'XXXXXXXX' },
+        QA: { dialCode: '974', trunkPrefix: '', pattern: /^[3567]\d{7}$/, example: 'XXXXXXXX' }
+    };
+
+    // Field rules for #lead-form
+    const VALIDATION_SCHEMA = {
+        name: { required: true, minLength: 2, maxLength: 80 },
+        phone: { required: true, type: 'phone', countries: ['SA', 'AE', 'KW', 'QA'], defaultCountry: 'SA' },
+        business_name: { required: true, minLength: 2, maxLength: 120 },
+        role: { required: true, options: ['owner', 'manager', 'partner', 'other'] },
+        budget: { required: true, options: ['5000-10000', '10000-25000', '25000+', 'not-sure'] },
+        goal: { required: true, options: ['sales', 'leads', 'awareness', 'traffic'] },
+        challenge: { required: true, minLength: 10, maxLength: 1000 },
+        notes: { required: false, maxLength: 1000 }
+    };
+
+    // Error messages per locale
+    const MESSAGES = {
+        ar: {
+            required: 'هذا الحقل مطلوب',
+            minLength: 'يرجى إدخال {min} أحرف على الأقل',
+            maxLength: 'يرجى عدم تجاوز {max} حرف',
+            pattern: 'القيمة المدخلة غير صحيحة',
+            options: 'يرجى اختيار قيمة من القائمة',
+            phone: 'رقم الجوال غير صحيح، مثال: {example}',
+            phoneCountry: 'نستقبل حالياً أرقام السعودية والإمارات والكويت وقطر فقط'
+        },
+        en: {
+            required: 'This field is required',
+            minLength: 'Please enter at least {min} characters',
+            maxLength: 'Please use no more than {max} characters',
+            pattern: 'The value entered is not valid',
+            options: 'Please choose an option from the list',
+            phone: 'Invalid mobile number, e.g. {example}',
+            phoneCountry: 'We currently accept Saudi, UAE, Kuwaiti and Qatari numbers only'
+        }
+    };
+
+    /**
+     * Convert Arabic-Indic and Persian digits to Latin digits
+     * @param {string} value - Input value
+     * @returns {string} Value with Latin digits
+     */
+    function normalizeDigits(value) {
+        return String(value)
+            .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+            .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0));
+    }
+
+    /**
+     * Parse a phone number into country and E.164 form
+     * @param {string} value - Phone number as typed
+     * @param {string} defaultCountry - Country for numbers without a dial code
+     * @param {Array<string>} countries - Allowed countries
+     * @returns {Object} { valid, country, e164, national, error }
+     */
+    function parsePhone(value, defaultCountry = 'SA', countries = Object.keys(PHONE_COUNTRIES)) {
+        let digits = normalizeDigits(value).trim();
+        const international = /^(\+|00)/.test(digits);
+        digits = digits.replace(/\D/g, '');
+
+        let country = null;
+        let national = digits;
+
+        if (international) {
+            if (digits.indexOf('00') === 0) digits = digits.substring(2);
+            
+            country = Object.keys(PHONE_COUNTRIES).find(code => digits.indexOf(PHONE_COUNTRIES[code].dialCode) === 0) || null;
+            if (!country) {
+                return { valid: false, country: null, e164: null, national: null, error: 'phoneCountry' };
+            }
+            national = digits.substring(PHONE_COUNTRIES[country].dialCode.length);
+        } else {
+            // Numbers typed with the dial code but without "+"
+            country = Object.keys(PHONE_COUNTRIES).find(code => {
+                const rule = PHONE_COUNTRIES[code];
+                return digits.indexOf(rule.dialCode) === 0 && rule.pattern.test(digits.substring(rule.dialCode.length));
+            }) || null;
+            
+            if (country) {
+                national = digits.substring(PHONE_COUNTRIES[country].dialCode.length);
+            } else {
+                country = defaultCountry;
+            }
+        }
+
+        const rule = PHONE_COUNTRIES[country];
+        if (!rule || countries.indexOf(country) === -1) {
+            return { valid: false, country: country, e164: null, national: null, error: 'phoneCountry' };
+        }
+
+        if (rule.trunkPrefix && national.indexOf(rule.trunkPrefix) === 0) {
+            national = national.substring(rule.trunkPrefix.length);
+        }
+
+        if (!rule.pattern.test(national)) {
+            return { valid: false, country: country, e164: null, national: null, error: 'phone' };
+        }
+
+        return {
+            valid: true,
+            country: country,
+            e164: `+${rule.dialCode}${national}`,
+            national: rule.trunkPrefix + national,
+            error: null
+        };
+    }
+
+    /**
+     * Format a parsed phone number for display
+     * @param {Object} parsed - Result of parsePhone
+     * @param {string} defaultCountry - Country shown in national format
+     * @returns {string} Formatted number
+     */
+    function formatPhone(parsed, defaultCountry = 'SA') {
+        if (!parsed.valid) return '';
+
+        const rule = PHONE_COUNTRIES[parsed.country];
+        const subscriber = parsed.national.substring(rule.trunkPrefix.length);
+        // 5X XXX XXXX for 9-digit numbers, XXXX XXXX for 8-digit ones
+        const grouped = subscriber.length === 9
+            ? `${subscriber.substring(0, 2)} ${subscriber.substring(2, 5)} ${subscriber.substring(5)}`
+            : `${subscriber.substring(0, 4)} ${subscriber.substring(4)}`;
+
+        return parsed.country === defaultCountry
+            ? rule.trunkPrefix + grouped
+            : `+${rule.dialCode} ${grouped}`;
+    }
+
+    // Validator class
+    class FormValidation {
+        constructor(schema, messages, locale = 'ar') {
+            this.schema = schema;
+            this.messages = messages;
+            this.locale = messages[locale] ? locale : 'ar';
+            this.defaultCountry = schema.phone && schema.phone.defaultCountry ? schema.phone.defaultCountry : 'SA';
+        }
+
+        /**
+         * Build an error message
+         * @param {string} key - Message key
+         * @param {Object} params - Placeholder values
+         * @param {string} locale - Message locale (defaults to the validator's)
+         * @returns {string} Message
+         */
+        message(key, params = {}, locale = this.locale) {
+            const messages = this.messages[locale] || this.messages.ar;
+            return (messages[key] || messages.pattern).replace(/\{(\w+)\}/g, (match, name) => {
+                return params[name] !== undefined ? params[name] : match;
+            });
+        }
+
+        /**
+         * Set the locale of error messages
+         * @param {string} locale - Locale
+         */
+        setLocale(locale) {
+            if (this.messages[locale]) {
+                this.locale = locale;
+            }
+        }
+
+        /**
+         * Set the country assumed for phone numbers without a dial code
+         * @param {string} country - ISO country code
+         */
+        setDefaultCountry(country) {
+            if (!PHONE_COUNTRIES[country]) return;
+            
+            this.defaultCountry = country;
+            Object.keys(this.schema).forEach(name => {
+                if (this.schema[name].type === 'phone') {
+                    this.schema[name].defaultCountry = country;
+                }
+            });
+        }
+
+        /**
+         * Validate a single field value
+         * @param {string} name - Field name
+         * @param {string} value - Field value
+         * @param {string} locale - Message locale (defaults to the validator's)
+         * @returns {Object} { valid, message, value } with the normalized value
+         */
+        validateField(name, value, locale = this.locale) {
+            const rule = this.schema[name];
+            const text = value === undefined || value === null ? '' : String(value).trim();
+            
+            if (!rule) {
+                return { valid: true, message: null, value: text };
+            }
+            
+            if (!text) {
+                return rule.required
+                    ? { valid: false, message: this.message('required', {}, locale), value: text }
+                    : { valid: true, message: null, value: text };
+            }
+            
+            if (rule.type === 'phone') {
+                const parsed = parsePhone(text, rule.defaultCountry, rule.countries);
+                if (!parsed.valid) {
+                    const example = PHONE_COUNTRIES[parsed.country] ? PHONE_COUNTRIES[parsed.country].example : '05XXXXXXXX';
+                    return { valid: false, message: this.message(parsed.error, { example: example }, locale), value: text };
+                }
+                return { valid: true, message: null, value: parsed.e164, phone: parsed };
+            }
+            
+            if (rule.minLength && text.length < rule.minLength) {
+                return { valid: false, message: this.message('minLength', { min: rule.minLength }, locale), value: text };
+            }
+            
+            if (rule.maxLength && text.length > rule.maxLength) {
+                return { valid: false, message: this.message('maxLength', { max: rule.maxLength }, locale), value: text };
+            }
+            
+            if (rule.pattern && !new RegExp(rule.pattern).test(text)) {
+                return { valid: false, message: this.message('pattern', {}, locale), value: text };
+            }
+            
+            if (rule.options && rule.options.indexOf(text) === -1) {
+                return { valid: false, message: this.message('options', {}, locale), value: text };
+            }
+            
+            return { valid: true, message: null, value: text };
+        }
+
+        /**
+         * Validate all schema fields of a payload
+         * @param {Object} values - Field values by name
+         * @param {string} locale - Message locale (defaults to the validator's)
+         * @returns {Object} { valid, errors, values } with normalized values
+         */
+        validateFields(values, locale = this.locale) {
+            const errors = {};
+            const normalized = {};
+            
+            Object.keys(this.schema).forEach(name => {
+                const result = this.validateField(name, values[name], locale);
+                normalized[name] = result.value;
+                if (!result.valid) {
+                    errors[name] = result.message;
+                }
+            });
+            
+            return { valid: Object.keys(errors).length === 0, errors: errors, values: normalized };
+        }
+    }
+
+    // Node (lead intake server)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            FormValidation: FormValidation,
+            VALIDATION_SCHEMA: VALIDATION_SCHEMA,
+            MESSAGES: MESSAGES,
+            PHONE_COUNTRIES: PHONE_COUNTRIES,
+            parsePhone: parsePhone,
+            formatPhone: formatPhone,
+            normalizeDigits: normalizeDigits
+        };
+    }
+
+    // Browser: shared by the form handler and form navigation
+    if (typeof window !== 'undefined') {
+        window.formValidation = new FormValidation(VALIDATION_SCHEMA, MESSAGES, window.i18n ? window.i18n.locale : 'ar');
+        document.addEventListener('locale:change', e => window.formValidation.setLocale(e.detail.locale));
+        window.FormValidation = FormValidation;
+        window.FormValidation.parsePhone = parsePhone;
+        window.FormValidation.formatPhone = formatPhone;
+        window.FormValidation.normalizeDigits = normalizeDigits;
+    }
+})();
\ No newline at end of file